@@ -0,0 +1,258 @@
+const request = require('supertest');
+const User = require('../../models/user.model');
+const Book = require('../../models/book.model');
+const Section = require('../../models/section.model');
+const AuthEvent = require('../../models/authEvent.model');
+const jwtService = require('../../services/jwt.service');
+const encryptionService = require('../../services/encryption.service');
+const dataKeyService = require('../../services/dataKey.service');
+
+// Import app without starting server
+const app = require('../../server');
+
+describe('Admin Integration Tests', () => {
+  let admin, support, writer, book, adminToken, supportToken, writerToken;
+
+  beforeEach(async () => {
+    admin = await User.create({ email: 'admin@example.com', password: 'TestPass123', role: 'admin' });
+    support = await User.create({ email: 'support@example.com', password: 'TestPass123', role: 'support' });
+    writer = await User.create({ email: 'writer@example.com', password: 'TestPass123' });
+
+    adminToken = jwtService.generateToken(admin._id.toString());
+    supportToken = jwtService.generateToken(support._id.toString());
+    writerToken = jwtService.generateToken(writer._id.toString());
+
+    book = await Book.create({ title: 'Tides', user: writer._id });
+    await Section.create({ title: 'One', story: 'a', book: book._id });
+    await Section.create({ title: 'Two', story: 'b', book: book._id });
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('should list users with book and section counts', async () => {
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${supportToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(3);
+      const listed = response.body.data.find(user => user.email === 'writer@example.com');
+      expect(listed.counts).toEqual({ books: 1, sections: 2 });
+      expect(listed.security.failedLoginAttempts).toBe(0);
+      expect(listed.password).toBeUndefined();
+    });
+
+    it('should search users by email', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?search=writer')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].email).toBe('writer@example.com');
+    });
+
+    it('should filter users by role', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?role=support&status=active')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(user => user.email)).toEqual(['support@example.com']);
+    });
+
+    it('should reject query operators and unknown values in filters', async () => {
+      for (const query of ['role[$ne]=user', 'role=owner', 'status[$ne]=active', 'status=deleted']) {
+        const response = await request(app)
+          .get(`/api/admin/users?${query}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(400);
+
+        expect(response.body.message).toBe('Validation failed');
+      }
+    });
+
+    it('should return 403 for regular users', async () => {
+      await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${writerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/admin/users/:userId', () => {
+    it('should return a single user with counts', async () => {
+      const response = await request(app)
+        .get(`/api/admin/users/${writer._id}`)
+        .set('Authorization', `Bearer ${supportToken}`)
+        .expect(200);
+
+      expect(response.body.data.counts.books).toBe(1);
+    });
+
+    it('should return 404 for unknown users', async () => {
+      await request(app)
+        .get('/api/admin/users/507f1f77bcf86cd799439011')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/admin/users/:userId/disable', () => {
+    it('should disable an account and reject its tokens', async () => {
+      await request(app)
+        .post(`/api/admin/users/${writer._id}/disable`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Spam' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/books')
+        .set('Authorization', `Bearer ${writerToken}`)
+        .expect(401);
+
+      expect(response.body.message).toBe('Account has been disabled');
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'writer@example.com', password: 'TestPass123' })
+        .expect(403);
+    });
+
+    it('should only allow admins to disable accounts', async () => {
+      await request(app)
+        .post(`/api/admin/users/${writer._id}/disable`)
+        .set('Authorization', `Bearer ${supportToken}`)
+        .expect(403);
+    });
+
+    it('should re-enable a disabled account', async () => {
+      await request(app)
+        .post(`/api/admin/users/${writer._id}/disable`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/admin/users/${writer._id}/enable`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'writer@example.com', password: 'TestPass123' })
+        .expect(200);
+    });
+  });
+
+  describe('Auth events', () => {
+    it('should show the activity of a user', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'writer@example.com', password: 'TestPass123' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/admin/users/${writer._id}/activity`)
+        .set('Authorization', `Bearer ${supportToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.data[0].type).toBe('login.success');
+    });
+
+    it('should record admin actions with the acting admin', async () => {
+      await request(app)
+        .put(`/api/admin/users/${writer._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'support' })
+        .expect(200);
+
+      const event = await AuthEvent.findOne({ user: writer._id, type: 'role.changed' });
+      expect(event.metadata).toEqual({ from: 'user', to: 'support', actor: admin._id.toString() });
+    });
+
+    it('should filter events across users', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'ghost@example.com', password: 'TestPass123' })
+        .expect(401);
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'writer@example.com', password: 'TestPass123' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/admin/auth-events?type=login.failure&success=false')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.data[0].email).toBe('ghost@example.com');
+      expect(response.body.data[0].metadata.reason).toBe('unknown_email');
+    });
+
+    it('should return 403 for regular users', async () => {
+      await request(app)
+        .get('/api/admin/auth-events')
+        .set('Authorization', `Bearer ${writerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/admin/users/:userId/role', () => {
+    it('should change the role of a user', async () => {
+      const response = await request(app)
+        .put(`/api/admin/users/${writer._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'support' })
+        .expect(200);
+
+      expect(response.body.data.role).toBe('support');
+    });
+
+    it('should reject unknown roles', async () => {
+      await request(app)
+        .put(`/api/admin/users/${writer._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'superuser' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/admin/integrity/sections', () => {
+    it('should list sections whose story cannot be decrypted', async () => {
+      const dataKey = await dataKeyService.getDataKey(writer._id);
+      const intact = await Section.create({
+        title: 'Intact',
+        story: encryptionService.encrypt('Still readable', dataKey),
+        book: book._id
+      });
+
+      const ciphertext = encryptionService.encrypt('Tampered with', dataKey).split('.');
+      ciphertext[4] = Buffer.from('something else').toString('base64url');
+      const tampered = await Section.create({ title: 'Tampered', story: ciphertext.join('.'), book: book._id });
+
+      const response = await request(app)
+        .get('/api/admin/integrity/sections')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.scanned).toBe(4);
+      const sections = response.body.data.map(failure => failure.section);
+      expect(sections).not.toContain(intact._id.toString());
+      expect(response.body.data).toContainEqual(expect.objectContaining({
+        section: tampered._id.toString(),
+        book: book._id.toString(),
+        field: 'story',
+        code: 'INTEGRITY_CHECK_FAILED',
+        keyId: dataKey.id
+      }));
+    });
+
+    it('should return 403 for support users', async () => {
+      await request(app)
+        .get('/api/admin/integrity/sections')
+        .set('Authorization', `Bearer ${supportToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -1,7 +1,15 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
 const User = require('../../models/user.model');
+const Book = require('../../models/book.model');
+const Section = require('../../models/section.model');
+const AuthEvent = require('../../models/authEvent.model');
+const RefreshToken = require('../../models/refreshToken.model');
 const jwtService = require('../../services/jwt.service');
+const mailService = require('../../services/mail.service');
+const totpService = require('../../services/totp.service');
+const dataKeyService = require('../../services/dataKey.service');
+const personalAccessTokenService = require('../../services/personalAccessToken.service');
 
 // Import app without starting server
 const app = require('../../server');
@@ -45,6 +53,23 @@ describe('Auth Integration Tests', () => {
       expect(savedUser.email).toBe(userData.email);
     });
 
+    it('should register even when the verification email cannot be sent', async () => {
+      const transport = mailService.getTransport();
+      mailService.setTransport({ send: jest.fn().mockRejectedValue(new Error('SMTP down')) });
+
+      try {
+        await request(app)
+          .post('/api/auth/register')
+          .send({ email: 'newuser@example.com', password: 'NewPass123' })
+          .expect(201);
+      } finally {
+        mailService.setTransport(transport);
+      }
+
+      const event = await AuthEvent.findOne({ type: 'register', email: 'newuser@example.com' });
+      expect(event.metadata).toEqual({ verificationEmailSent: false });
+    });
+
     it('should return 400 for invalid email format', async () => {
       const userData = {
         email: 'invalid-email',
@@ -79,6 +104,24 @@ describe('Auth Integration Tests', () => {
       expect(response.body.errors[0].field).toBe('password');
     });
 
+    it('should return 400 for a breached password', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'new@example.com', password: 'Password123' })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('This password has appeared in a data breach, please choose a different one');
+    });
+
+    it('should return 400 for a password containing the email', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'novelist@example.com', password: 'Novelist2024' })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Password cannot contain your email address');
+    });
+
     it('should return 400 for duplicate email', async () => {
       const userData = {
         email: 'test@example.com', // Already exists
@@ -185,6 +228,848 @@ describe('Auth Integration Tests', () => {
     });
   });
 
+  describe('POST /api/auth/refresh', () => {
+    it('should issue new tokens for a valid refresh token', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'TestPass123' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.data.refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(login.body.data.refreshToken);
+    });
+
+    it('should return 401 and revoke the family when a refresh token is reused', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'TestPass123' })
+        .expect(200);
+
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.data.refreshToken })
+        .expect(200);
+
+      // Past the grace period for concurrent refreshes
+      await RefreshToken.updateMany(
+        { usedAt: { $ne: null } },
+        { usedAt: new Date(Date.now() - 60 * 1000) }
+      );
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.data.refreshToken })
+        .expect(401);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(await AuthEvent.countDocuments({ type: 'refresh_token.reused' })).toBe(1);
+    });
+
+    it('should return the same tokens to concurrent refreshes', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'TestPass123' })
+        .expect(200);
+
+      const [first, second] = await Promise.all([
+        request(app).post('/api/auth/refresh').send({ refreshToken: login.body.data.refreshToken }),
+        request(app).post('/api/auth/refresh').send({ refreshToken: login.body.data.refreshToken })
+      ]);
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(200);
+      expect(second.body.data.refreshToken).toBe(first.body.data.refreshToken);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(200);
+    });
+
+    it('should not report refresh tokens revoked at logout as reused', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'TestPass123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.data.refreshToken })
+        .expect(401);
+
+      expect(response.body.message).toBe('Refresh token has been revoked');
+      expect(await AuthEvent.countDocuments({ type: 'refresh_token.reused' })).toBe(0);
+    });
+
+    it('should return 400 when refresh token is missing', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({})
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    const enrollTwoFactor = async () => {
+      const token = jwtService.generateToken(testUser._id.toString());
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'TestPass123' })
+        .expect(200);
+
+      const { secret } = setup.body.data;
+      const confirm = await request(app)
+        .post('/api/auth/2fa/confirm')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: totpService.generate(secret, Date.now() - 30 * 1000) })
+        .expect(200);
+
+      return { secret, recoveryCodes: confirm.body.data.recoveryCodes };
+    };
+
+    it('should return an otpauth URI on setup', async () => {
+      const token = jwtService.generateToken(testUser._id.toString());
+
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'TestPass123' })
+        .expect(200);
+
+      expect(response.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+    });
+
+    it('should require a second factor after the password check', async () => {
+      const { secret } = await enrollTwoFactor();
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'TestPass123' })
+        .expect(200);
+
+      expect(login.body.data.twoFactorRequired).toBe(true);
+      expect(login.body.data.token).toBeUndefined();
+
+      // The challenge token is not an access token
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.data.challengeToken}`)
+        .expect(401);
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: login.body.data.challengeToken, code: totpService.generate(secret) })
+        .expect(200);
+
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+    });
+
+    it('should reject invalid codes and accept each recovery code once', async () => {
+      const { recoveryCodes } = await enrollTwoFactor();
+      expect(recoveryCodes).toHaveLength(10);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'TestPass123' })
+        .expect(200);
+      const { challengeToken } = login.body.data;
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: '000000' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('should require the password to regenerate recovery codes', async () => {
+      const { secret, recoveryCodes } = await enrollTwoFactor();
+      const token = jwtService.generateToken(testUser._id.toString());
+
+      await request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: totpService.generate(secret) })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'WrongPass123', code: totpService.generate(secret) })
+        .expect(401);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'TestPass123', code: totpService.generate(secret) })
+        .expect(200);
+
+      expect(response.body.data.recoveryCodes).toHaveLength(10);
+      expect(response.body.data.recoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+
+    it('should not store the secret or recovery codes in plaintext', async () => {
+      const { secret, recoveryCodes } = await enrollTwoFactor();
+      const stored = await User.findById(testUser._id);
+
+      expect(stored.twoFactorEnabled).toBe(true);
+      expect(stored.twoFactorSecret).not.toBe(secret);
+      expect(stored.twoFactorRecoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+  });
+
+  describe('Sessions and logout', () => {
+    const loginAs = () => request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Firefox/120.0')
+      .send({ email: 'test@example.com', password: 'TestPass123' })
+      .expect(200);
+
+    it('should list active sessions and flag the current one', async () => {
+      const first = await loginAs();
+      await loginAs();
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${first.body.data.token}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.data.filter(session => session.current)).toHaveLength(1);
+      expect(response.body.data[0].device).toBe('Firefox on macOS');
+    });
+
+    it('should reject access tokens of a revoked session', async () => {
+      const first = await loginAs();
+      const second = await loginAs();
+
+      const sessions = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${second.body.data.token}`)
+        .expect(200);
+      const other = sessions.body.data.find(session => !session.current);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${other._id}`)
+        .set('Authorization', `Bearer ${second.body.data.token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${first.body.data.token}`)
+        .expect(401);
+
+      expect(response.body.message).toBe('Session has been revoked');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(401);
+    });
+
+    it('should return 404 for malformed session ids', async () => {
+      const login = await loginAs();
+
+      const response = await request(app)
+        .delete('/api/auth/sessions/not-a-session')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .expect(404);
+
+      expect(response.body.message).toBe('Session not found');
+    });
+
+    it('should revoke the current session on logout', async () => {
+      const login = await loginAs();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .expect(401);
+    });
+
+    it('should revoke every session on logout-all', async () => {
+      const first = await loginAs();
+      const second = await loginAs();
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${first.body.data.token}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${second.body.data.token}`)
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/auth/activity', () => {
+    it('should list successful and failed logins, newest first', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'WrongPass123' })
+        .expect(401);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Firefox/120.0')
+        .send({ email: 'test@example.com', password: 'TestPass123' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/activity')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(2);
+      expect(response.body.data[0].type).toBe('login.success');
+      expect(response.body.data[0].device).toBe('Firefox on macOS');
+      expect(response.body.data[1].type).toBe('login.failure');
+      expect(response.body.data[1].success).toBe(false);
+      expect(response.body.data[1].metadata.reason).toBe('invalid_password');
+    });
+
+    it('should paginate activity', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'TestPass123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .expect(200);
+
+      const token = jwtService.generateToken(testUser._id.toString());
+      const response = await request(app)
+        .get('/api/auth/activity?limit=1&page=2')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(2);
+      expect(response.body.pages).toBe(2);
+      expect(response.body.data[0].type).toBe('login.success');
+    });
+
+    it('should not be available to personal access tokens', async () => {
+      const created = await request(app)
+        .post('/api/auth/tokens')
+        .set('Authorization', `Bearer ${jwtService.generateToken(testUser._id.toString())}`)
+        .send({ name: 'CLI', scopes: ['books:read'] })
+        .expect(201);
+
+      await request(app)
+        .get('/api/auth/activity')
+        .set('Authorization', `Bearer ${created.body.data.token}`)
+        .expect(403);
+    });
+  });
+
+  describe('Email verification', () => {
+    const extractToken = (message) => message.text.match(/token: ([a-f0-9]+)/)[1];
+
+    beforeEach(() => {
+      mailService.getTransport().clear();
+    });
+
+    it('should send a verification email on registration and verify the address', async () => {
+      const register = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'new@example.com', password: 'NewPass123' })
+        .expect(201);
+
+      expect(register.body.data.user.emailVerified).toBe(false);
+
+      const token = extractToken(mailService.getTransport().lastMessageTo('new@example.com'));
+
+      const response = await request(app)
+        .get(`/api/auth/verify-email/${token}`)
+        .expect(200);
+
+      expect(response.body.data.user.emailVerified).toBe(true);
+
+      await request(app)
+        .get(`/api/auth/verify-email/${token}`)
+        .expect(400);
+    });
+
+    it('should resend the verification email for unverified users', async () => {
+      const token = jwtService.generateToken(testUser._id.toString());
+
+      await request(app)
+        .post('/api/auth/verify-email/resend')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(mailService.getTransport().lastMessageTo('test@example.com')).not.toBeNull();
+    });
+
+    it('should refuse to resend for verified users', async () => {
+      await User.updateOne({ _id: testUser._id }, { emailVerified: true });
+      const token = jwtService.generateToken(testUser._id.toString());
+
+      const response = await request(app)
+        .post('/api/auth/verify-email/resend')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Email is already verified');
+    });
+  });
+
+  describe('Magic link login', () => {
+    const extractToken = (message) => message.text.match(/token: ([a-f0-9]+)/)[1];
+
+    const requestLink = async () => {
+      await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      return extractToken(mailService.getTransport().lastMessageTo('test@example.com'));
+    };
+
+    beforeEach(() => {
+      mailService.getTransport().clear();
+    });
+
+    it('should log in once with an emailed sign-in link', async () => {
+      const token = await requestLink();
+
+      const response = await request(app)
+        .post('/api/auth/magic-link/consume')
+        .send({ token })
+        .expect(200);
+
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.user.emailVerified).toBe(true);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+
+      // Links are single-use
+      const reused = await request(app)
+        .post('/api/auth/magic-link/consume')
+        .send({ token })
+        .expect(401);
+
+      expect(reused.body.message).toBe('Invalid or expired sign-in link');
+    });
+
+    it('should respond the same way for unknown emails', async () => {
+      const response = await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(mailService.getTransport().messages).toHaveLength(0);
+    });
+
+    it('should reject expired sign-in links', async () => {
+      const token = await requestLink();
+      await User.updateOne({ email: 'test@example.com' }, { magicLinkExpires: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post('/api/auth/magic-link/consume')
+        .send({ token })
+        .expect(401);
+    });
+
+    it('should still require the second factor when 2FA is enabled', async () => {
+      await User.updateOne({ email: 'test@example.com' }, { twoFactorEnabled: true });
+      const token = await requestLink();
+
+      const response = await request(app)
+        .post('/api/auth/magic-link/consume')
+        .send({ token })
+        .expect(200);
+
+      expect(response.body.data.twoFactorRequired).toBe(true);
+      expect(response.body.data.token).toBeUndefined();
+    });
+  });
+
+  describe('Password reset', () => {
+    const extractToken = (message) => message.text.match(/token: ([a-f0-9]+)/)[1];
+
+    beforeEach(() => {
+      mailService.getTransport().clear();
+    });
+
+    it('should email a reset token and allow resetting the password once', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      const token = extractToken(mailService.getTransport().lastMessageTo('test@example.com'));
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'BrandNew123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'BrandNew123' })
+        .expect(200);
+
+      // Tokens are single-use
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'Another123' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid or expired reset token');
+    });
+
+    it('should apply the password policy before using up the token', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      const token = extractToken(mailService.getTransport().lastMessageTo('test@example.com'));
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'Test1234example' })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Password cannot contain your email address');
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'BrandNew123' })
+        .expect(200);
+    });
+
+    it('should respond the same way for unknown emails', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(mailService.getTransport().messages).toHaveLength(0);
+    });
+
+    it('should reject expired reset tokens', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      const token = extractToken(mailService.getTransport().lastMessageTo('test@example.com'));
+      await User.updateOne({ email: 'test@example.com' }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'BrandNew123' })
+        .expect(400);
+    });
+  });
+
+  describe('Account self-service', () => {
+    const loginAs = (password = 'TestPass123') => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password })
+      .expect(200);
+
+    beforeEach(() => {
+      mailService.getTransport().clear();
+    });
+
+    it('should change the password and invalidate other sessions', async () => {
+      const other = await loginAs();
+      const current = await loginAs();
+
+      const response = await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${current.body.data.token}`)
+        .send({ currentPassword: 'TestPass123', newPassword: 'Changed123' })
+        .expect(200);
+
+      expect(response.body.data.token).toBeDefined();
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${other.body.data.token}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+
+      await loginAs('Changed123');
+    });
+
+    it('should revoke personal access tokens when the password changes', async () => {
+      const { token } = await personalAccessTokenService.create(testUser._id, {
+        name: 'backup script',
+        scopes: ['books:read']
+      });
+      const login = await loginAs();
+
+      await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .send({ currentPassword: 'TestPass123', newPassword: 'Changed123' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/books')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it('should reject tokens issued before the password change', async () => {
+      const legacyToken = jwtService.generateToken(testUser._id.toString());
+      await User.updateOne({ _id: testUser._id }, { passwordChangedAt: new Date(Date.now() + 5000) });
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${legacyToken}`)
+        .expect(401);
+
+      expect(response.body.message).toBe('Password was changed, please log in again');
+    });
+
+    it('should require the current password and enforce the password policy', async () => {
+      const login = await loginAs();
+
+      await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .send({ currentPassword: 'WrongPass123', newPassword: 'Changed123' })
+        .expect(401);
+
+      await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .send({ currentPassword: 'TestPass123', newPassword: 'weak' })
+        .expect(400);
+    });
+
+    it('should change the email only after the new address is verified', async () => {
+      const login = await loginAs();
+
+      await request(app)
+        .put('/api/auth/email')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .send({ email: 'renamed@example.com', password: 'TestPass123' })
+        .expect(200);
+
+      let stored = await User.findById(testUser._id);
+      expect(stored.email).toBe('test@example.com');
+      expect(stored.pendingEmail).toBe('renamed@example.com');
+
+      const message = mailService.getTransport().lastMessageTo('renamed@example.com');
+      const token = message.text.match(/token: ([a-f0-9]+)/)[1];
+
+      await request(app)
+        .get(`/api/auth/verify-email/${token}`)
+        .expect(200);
+
+      stored = await User.findById(testUser._id);
+      expect(stored.email).toBe('renamed@example.com');
+      expect(stored.pendingEmail).toBeNull();
+      expect(stored.emailVerified).toBe(true);
+    });
+
+    it('should delete the account with all books and sections', async () => {
+      const login = await loginAs();
+      const book = await Book.create({ title: 'Doomed', user: testUser._id });
+      await Section.create({ title: 'Chapter', story: 'text', book: book._id });
+
+      await request(app)
+        .delete('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .send({ password: 'TestPass123' })
+        .expect(200);
+
+      expect(await User.findById(testUser._id)).toBeNull();
+      expect(await Book.countDocuments({ user: testUser._id })).toBe(0);
+      expect(await Section.countDocuments({ book: book._id })).toBe(0);
+    });
+
+    it('should shred the data key before deleting the account', async () => {
+      const login = await loginAs();
+      const shred = jest.spyOn(dataKeyService, 'shred');
+
+      await request(app)
+        .delete('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .send({ password: 'TestPass123' })
+        .expect(200);
+
+      expect(shred).toHaveBeenCalledTimes(1);
+      expect(shred.mock.calls[0][0].toString()).toBe(testUser._id.toString());
+      shred.mockRestore();
+    });
+  });
+
+  describe('Personal access tokens', () => {
+    it('should create, list and revoke tokens', async () => {
+      const authToken = jwtService.generateToken(testUser._id.toString());
+
+      const created = await request(app)
+        .post('/api/auth/tokens')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'lint script', scopes: ['books:read', 'sections:read'], expiresInDays: 30 })
+        .expect(201);
+
+      expect(created.body.data.token).toMatch(/^msp_/);
+      expect(created.body.data.tokenHash).toBeUndefined();
+
+      const list = await request(app)
+        .get('/api/auth/tokens')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.count).toBe(1);
+      expect(list.body.data[0].token).toBeUndefined();
+
+      await request(app)
+        .delete(`/api/auth/tokens/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/books')
+        .set('Authorization', `Bearer ${created.body.data.token}`)
+        .expect(401);
+    });
+
+    it('should reject unknown scopes', async () => {
+      const authToken = jwtService.generateToken(testUser._id.toString());
+
+      await request(app)
+        .post('/api/auth/tokens')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'bad', scopes: ['admin:everything'] })
+        .expect(400);
+    });
+
+    it('should not allow personal access tokens to manage the account', async () => {
+      const authToken = jwtService.generateToken(testUser._id.toString());
+      const created = await request(app)
+        .post('/api/auth/tokens')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'script', scopes: ['books:read'] })
+        .expect(201);
+
+      await request(app)
+        .post('/api/auth/tokens')
+        .set('Authorization', `Bearer ${created.body.data.token}`)
+        .send({ name: 'escalate', scopes: ['books:write'] })
+        .expect(403);
+    });
+  });
+
+  describe('Account lockout', () => {
+    const attemptLogin = (password) => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password });
+
+    beforeEach(() => {
+      process.env.LOGIN_DELAY_AFTER_ATTEMPTS = '100';
+      process.env.LOCKOUT_THRESHOLD = '3';
+      mailService.getTransport().clear();
+    });
+
+    afterEach(() => {
+      delete process.env.LOGIN_DELAY_AFTER_ATTEMPTS;
+      delete process.env.LOCKOUT_THRESHOLD;
+    });
+
+    it('should lock the account after repeated failures, even with the right password', async () => {
+      for (let i = 0; i < 3; i++) {
+        await attemptLogin('WrongPass123').expect(401);
+      }
+
+      const response = await attemptLogin('TestPass123').expect(423);
+
+      expect(response.body.retryAfter).toBeGreaterThan(0);
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should email an unlock link that lifts the lock', async () => {
+      for (let i = 0; i < 3; i++) {
+        await attemptLogin('WrongPass123').expect(401);
+      }
+
+      const message = mailService.getTransport().lastMessageTo('test@example.com');
+      const token = message.text.match(/token: ([a-f0-9]+)/)[1];
+
+      await request(app)
+        .get(`/api/auth/unlock/${token}`)
+        .expect(200);
+
+      await attemptLogin('TestPass123').expect(200);
+    });
+
+    it('should back off progressively before locking', async () => {
+      process.env.LOGIN_DELAY_AFTER_ATTEMPTS = '1';
+      process.env.LOCKOUT_THRESHOLD = '10';
+
+      await attemptLogin('WrongPass123').expect(401);
+      const response = await attemptLogin('TestPass123').expect(429);
+
+      expect(response.body.message).toBe('Too many failed login attempts, please try again later');
+    });
+
+    it('should reset the counter after a successful login', async () => {
+      await attemptLogin('WrongPass123').expect(401);
+      await attemptLogin('TestPass123').expect(200);
+
+      const stored = await User.findById(testUser._id);
+      expect(stored.failedLoginAttempts).toBe(0);
+    });
+  });
+
   describe('GET /api/auth/me', () => {
     it('should return current user details with valid token', async () => {
       const token = jwtService.generateToken(testUser._id.toString());
@@ -199,6 +1084,18 @@ describe('Auth Integration Tests', () => {
       expect(response.body.data.password).toBeUndefined();
     });
 
+    it('should report that the account has a password without returning it', async () => {
+      const token = jwtService.generateToken(testUser._id.toString());
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.user.hasPassword).toBe(true);
+      expect(response.body.data.user.password).toBeUndefined();
+    });
+
     it('should return 401 without Authorization header', async () => {
       const response = await request(app)
         .get('/api/auth/me')
@@ -228,48 +1125,4 @@ describe('Auth Integration Tests', () => {
       expect(response.body.message).toBe('Access token required');
     });
   });
-
-  describe('Rate Limiting', () => {
-    it('should limit registration attempts', async () => {
-      const userData = {
-        email: 'rate@example.com',
-        password: 'TestPass123'
-      };
-
-      // Make multiple requests quickly
-      const promises = Array(6).fill().map(() =>
-        request(app)
-          .post('/api/auth/register')
-          .send(userData)
-      );
-
-      const responses = await Promise.all(promises);
-      
-      // First 5 should succeed (or fail for other reasons), 6th should be rate limited
-      const rateLimitedResponse = responses.find(res => res.status === 429);
-      expect(rateLimitedResponse).toBeDefined();
-      expect(rateLimitedResponse.body.message).toContain('Too many requests');
-    });
-
-    it('should limit login attempts', async () => {
-      const loginData = {
-        email: 'test@example.com',
-        password: 'WrongPassword'
-      };
-
-      // Make multiple requests quickly
-      const promises = Array(6).fill().map(() =>
-        request(app)
-          .post('/api/auth/login')
-          .send(loginData)
-      );
-
-      const responses = await Promise.all(promises);
-      
-      // First 5 should fail with 401, 6th should be rate limited
-      const rateLimitedResponse = responses.find(res => res.status === 429);
-      expect(rateLimitedResponse).toBeDefined();
-      expect(rateLimitedResponse.body.message).toContain('Too many requests');
-    });
-  });
 }); 
\ No newline at end of file
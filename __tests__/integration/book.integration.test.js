@@ -4,6 +4,9 @@ const User = require('../../models/user.model');
 const Book = require('../../models/book.model');
 const Section = require('../../models/section.model');
 const jwtService = require('../../services/jwt.service');
+const personalAccessTokenService = require('../../services/personalAccessToken.service');
+const encryptionService = require('../../services/encryption.service');
+const dataKeyService = require('../../services/dataKey.service');
 
 // Import app without starting server
 const app = require('../../server');
@@ -72,6 +75,72 @@ describe('Book Integration Tests', () => {
       expect(response.body.data).toHaveLength(0);
     });
 
+    it('should sort by total word count', async () => {
+      const longer = await Book.create({ title: 'Longer', user: testUser._id });
+      for (const [book, story] of [[testBook, 'Three words here'], [longer, 'Five words are in here']]) {
+        await request(app)
+          .post(`/api/books/${book._id}/sections`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ title: 'Chapter', story })
+          .expect(201);
+      }
+
+      const response = await request(app)
+        .get('/api/books?sort=-wordCount')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(book => [book.title, book.wordCount])).toEqual([['Longer', 5], ['Test Book', 3]]);
+    });
+
+    it('should filter by publication status and date range', async () => {
+      await Book.create({ title: 'Published', user: testUser._id, isPublished: true });
+      await Book.create({ title: 'Ancient', user: testUser._id, isPublished: true, createdAt: new Date('2020-01-01') });
+
+      const response = await request(app)
+        .get('/api/books?isPublished=true&createdAfter=2021-01-01&sort=updatedAt')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.data[0].title).toBe('Published');
+    });
+
+    it('should page through books with links', async () => {
+      for (let i = 1; i <= 4; i++) {
+        await Book.create({ title: `Volume ${i}`, user: testUser._id });
+      }
+
+      const first = await request(app)
+        .get('/api/books?limit=2&sort=title')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(first.body).toMatchObject({ count: 2, total: 5, page: 1, pages: 3 });
+      expect(first.body.links.prev).toBeNull();
+      expect(first.body.data.map(book => book.title)).toEqual(['Test Book', 'Volume 1']);
+
+      const next = await request(app)
+        .get(first.body.links.next)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(next.body.page).toBe(2);
+      expect(next.body.data.map(book => book.title)).toEqual(['Volume 2', 'Volume 3']);
+    });
+
+    it('should reject unknown sort fields and invalid filters', async () => {
+      await request(app)
+        .get('/api/books?sort=description')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      await request(app)
+        .get('/api/books?createdAfter=yesterday')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+
     it('should return 401 without authentication', async () => {
       const response = await request(app)
         .get('/api/books')
@@ -102,7 +171,7 @@ describe('Book Integration Tests', () => {
       expect(response.body.data.user).toBe(testUser._id.toString());
 
       // Verify book was created in database
-      const savedBook = await Book.findOne({ title: bookData.title });
+      const savedBook = await Book.findById(response.body.data._id);
       expect(savedBook).toBeDefined();
       expect(savedBook.title).toBe(bookData.title);
     });
@@ -170,6 +239,102 @@ describe('Book Integration Tests', () => {
     });
   });
 
+  describe('PUT /api/books/:bookId publishing policy', () => {
+    afterEach(() => {
+      delete process.env.REQUIRE_VERIFIED_EMAIL_TO_PUBLISH;
+    });
+
+    it('should block publishing for unverified users when the policy is enabled', async () => {
+      process.env.REQUIRE_VERIFIED_EMAIL_TO_PUBLISH = 'true';
+
+      const response = await request(app)
+        .put(`/api/books/${testBook._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Test Book', isPublished: true })
+        .expect(403);
+
+      expect(response.body.message).toBe('Please verify your email address before publishing');
+    });
+
+    it('should allow publishing once the email is verified', async () => {
+      process.env.REQUIRE_VERIFIED_EMAIL_TO_PUBLISH = 'true';
+      await User.updateOne({ _id: testUser._id }, { emailVerified: true });
+
+      const response = await request(app)
+        .put(`/api/books/${testBook._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Test Book', isPublished: true })
+        .expect(200);
+
+      expect(response.body.data.isPublished).toBe(true);
+    });
+
+    it('should allow publishing when the policy is disabled', async () => {
+      await request(app)
+        .put(`/api/books/${testBook._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Test Book', isPublished: true })
+        .expect(200);
+    });
+  });
+
+  describe('Personal access tokens', () => {
+    it('should allow reading books with the books:read scope', async () => {
+      const { token } = await personalAccessTokenService.create(testUser._id, {
+        name: 'backup script',
+        scopes: ['books:read']
+      });
+
+      const response = await request(app)
+        .get('/api/books')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+    });
+
+    it('should return 403 for routes outside the token scopes', async () => {
+      const { token } = await personalAccessTokenService.create(testUser._id, {
+        name: 'backup script',
+        scopes: ['books:read']
+      });
+
+      const response = await request(app)
+        .post('/api/books')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Nope' })
+        .expect(403);
+
+      expect(response.body.message).toBe('Token is missing required scope: books:write');
+    });
+
+    it('should reject revoked and expired tokens', async () => {
+      const revoked = await personalAccessTokenService.create(testUser._id, {
+        name: 'old',
+        scopes: ['books:read']
+      });
+      await personalAccessTokenService.revoke(revoked.record._id, testUser._id);
+
+      const expired = await personalAccessTokenService.create(testUser._id, {
+        name: 'expired',
+        scopes: ['books:read'],
+        expiresInDays: 1
+      });
+      expired.record.expiresAt = new Date(Date.now() - 1000);
+      await expired.record.save();
+
+      await request(app)
+        .get('/api/books')
+        .set('Authorization', `Bearer ${revoked.token}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/books')
+        .set('Authorization', `Bearer ${expired.token}`)
+        .expect(401);
+    });
+  });
+
   describe('GET /api/books/:bookId/sections', () => {
     it('should get all sections of a book with decrypted stories', async () => {
       // Create test sections
@@ -267,7 +432,7 @@ describe('Book Integration Tests', () => {
       expect(response.body.data.order).toBe(1);
 
       // Verify section was created in database
-      const savedSection = await Section.findOne({ title: sectionData.title });
+      const savedSection = await Section.findById(response.body.data._id);
       expect(savedSection).toBeDefined();
       expect(savedSection.title).toBe(sectionData.title);
     });
@@ -403,4 +568,437 @@ describe('Book Integration Tests', () => {
       expect(response.body.message).toBe('Access token required');
     });
   });
-}); 
\ No newline at end of file
+
+  describe('Per-user data keys', () => {
+    const addSection = (story) => request(app)
+      .post(`/api/books/${testBook._id}/sections`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ title: 'Chapter', story })
+      .expect(201);
+
+    it('should encrypt stories with the owner\'s data key', async () => {
+      const response = await addSection('A private chapter');
+
+      const user = await User.findById(testUser._id);
+      const section = await Section.findById(response.body.data._id);
+      expect(section.story).toMatch(new RegExp(`^v5\\.${user.dataKey.keyId}\\.`));
+      expect(user.dataKey.wrappedKey).toBeTruthy();
+      expect(user.toJSON().dataKey).toBeUndefined();
+    });
+
+    it('should give every user a different data key', async () => {
+      const otherUser = await User.create({ email: 'other@example.com', password: 'TestPass123' });
+      const otherKey = await dataKeyService.getDataKey(otherUser._id);
+      const ownKey = await dataKeyService.getDataKey(testUser._id);
+
+      expect(otherKey.id).not.toBe(ownKey.id);
+      expect(otherKey.key.equals(ownKey.key)).toBe(false);
+    });
+
+    it('should still read stories encrypted with the global key', async () => {
+      const section = await Section.create({
+        title: 'Old chapter',
+        story: encryptionService.encrypt('Written before data keys'),
+        book: testBook._id
+      });
+
+      const response = await request(app)
+        .get(`/api/books/${testBook._id}/sections/${section._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.story).toBe('Written before data keys');
+    });
+
+    it('should make stories unreadable once the data key is shredded', async () => {
+      const response = await addSection('Soon gone');
+
+      await dataKeyService.shred(testUser._id);
+
+      const section = await request(app)
+        .get(`/api/books/${testBook._id}/sections/${response.body.data._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(section.body.data.story).toBeNull();
+      expect(section.body.data.storyStatus).toBe('corrupt');
+      expect(section.body.data.storyError).toMatchObject({
+        code: 'DATA_KEY_UNAVAILABLE',
+        keyId: expect.any(String)
+      });
+    });
+
+    it('should refuse to overwrite a corrupt story unless forced', async () => {
+      const response = await addSection('Soon gone');
+      const sectionUrl = `/api/books/${testBook._id}/sections/${response.body.data._id}`;
+
+      await dataKeyService.shred(testUser._id);
+
+      const refused = await request(app)
+        .put(sectionUrl)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ story: '[Encryption Error]' })
+        .expect(409);
+
+      expect(refused.body.success).toBe(false);
+      expect(refused.body.storyStatus).toBe('corrupt');
+      expect(refused.body.storyError.code).toBe('DATA_KEY_UNAVAILABLE');
+
+      const forced = await request(app)
+        .put(sectionUrl)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ story: 'Rewritten from scratch', force: true })
+        .expect(200);
+
+      expect(forced.body.data.story).toBe('Rewritten from scratch');
+      expect(forced.body.data.storyStatus).toBe('ok');
+    });
+  });
+
+  describe('Client-encrypted books', () => {
+    const clientEncrypted = {
+      payload: 'b64:9hD2k1xQ0q4r6yF3mZt1Aw==',
+      algorithm: 'AES-GCM-256/PBKDF2-SHA256-600000',
+      salt: 'c2FsdHNhbHRzYWx0',
+      keyCheck: 'kcv-3f9a'
+    };
+    let clientBook;
+
+    beforeEach(async () => {
+      clientBook = await Book.create({ title: 'Private', user: testUser._id, encryptionMode: 'client' });
+    });
+
+    it('should create a client-encrypted book and report unavailable features', async () => {
+      const response = await request(app)
+        .post('/api/books')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Diary', encryptionMode: 'client' })
+        .expect(201);
+
+      expect(response.body.data.encryptionMode).toBe('client');
+      expect(response.body.data.unavailableFeatures).toEqual(['wordCount', 'search', 'export']);
+    });
+
+    it('should store the payload without encrypting it on the server', async () => {
+      const encrypt = jest.spyOn(encryptionService, 'encrypt');
+
+      const response = await request(app)
+        .post(`/api/books/${clientBook._id}/sections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Chapter', clientEncrypted })
+        .expect(201);
+
+      expect(encrypt).not.toHaveBeenCalled();
+      encrypt.mockRestore();
+
+      expect(response.body.data.clientEncrypted).toEqual(clientEncrypted);
+      expect(response.body.data.story).toBeNull();
+      expect(response.body.data.wordCount).toBeNull();
+      expect(response.body.data.plaintextSize).toBeNull();
+      expect(response.body.data.storedSize).toBe(clientEncrypted.payload.length);
+
+      const section = await Section.findById(response.body.data._id);
+      expect(section.clientEncrypted.payload).toBe(clientEncrypted.payload);
+      expect(section.story).toBe('');
+    });
+
+    it('should return payloads as stored when reading and updating', async () => {
+      const section = await Section.create({ title: 'Chapter', book: clientBook._id, clientEncrypted, wordCount: null });
+
+      const list = await request(app)
+        .get(`/api/books/${clientBook._id}/sections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.data.sections[0].clientEncrypted).toEqual(clientEncrypted);
+      expect(list.body.data.book.unavailableFeatures).toContain('wordCount');
+
+      const updated = await request(app)
+        .put(`/api/books/${clientBook._id}/sections/${section._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Chapter one', clientEncrypted: { ...clientEncrypted, payload: 'b64:bmV3' } })
+        .expect(200);
+
+      expect(updated.body.data.title).toBe('Chapter one');
+      expect(updated.body.data.clientEncrypted.payload).toBe('b64:bmV3');
+      expect(updated.body.data.story).toBeNull();
+    });
+
+    it('should reject plaintext stories for client-encrypted books', async () => {
+      const response = await request(app)
+        .post(`/api/books/${clientBook._id}/sections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Chapter', story: 'Readable text' })
+        .expect(400);
+
+      expect(response.body.message).toBe('This book is encrypted on the client, send clientEncrypted instead of story');
+    });
+
+    it('should reject encrypted payloads for server-encrypted books', async () => {
+      const response = await request(app)
+        .post(`/api/books/${testBook._id}/sections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Chapter', clientEncrypted })
+        .expect(400);
+
+      expect(response.body.message).toBe('This book is encrypted on the server, send story instead of clientEncrypted');
+    });
+
+    it('should require payload and algorithm', async () => {
+      const response = await request(app)
+        .post(`/api/books/${clientBook._id}/sections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Chapter', clientEncrypted: { salt: 'abc' } })
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+    });
+
+    it('should only change the encryption mode while the book has no sections', async () => {
+      await request(app)
+        .put(`/api/books/${clientBook._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Private', encryptionMode: 'server' })
+        .expect(200);
+
+      await Section.create({ title: 'Chapter', story: 'text', book: testBook._id });
+      const response = await request(app)
+        .put(`/api/books/${testBook._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Test Book', encryptionMode: 'client' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Encryption mode can only be changed while the book has no sections');
+    });
+
+    it('should count words of the plaintext for server-encrypted books', async () => {
+      const response = await request(app)
+        .post(`/api/books/${testBook._id}/sections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Chapter', story: 'Four words right here' })
+        .expect(201);
+
+      expect(response.body.data.wordCount).toBe(4);
+    });
+
+    it('should recount the plaintext when an edit keeps the word count', async () => {
+      const created = await request(app)
+        .post(`/api/books/${testBook._id}/sections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Chapter', story: 'Four words right here' })
+        .expect(201);
+
+      await request(app)
+        .put(`/api/books/${testBook._id}/sections/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ story: 'Four other words here' })
+        .expect(200);
+
+      const saved = await Section.findById(created.body.data._id);
+      expect(saved.wordCount).toBe(4);
+      expect(saved.plaintextSize).toBe(21);
+    });
+  });
+
+  describe('Vault sections', () => {
+    const passphrase = 'correct horse battery';
+    let vaultSection;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post(`/api/books/${testBook._id}/sections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Journal', story: 'Nobody may read this', vaultPassphrase: passphrase })
+        .expect(201);
+      vaultSection = response.body.data;
+    });
+
+    const sectionUrl = () => `/api/books/${testBook._id}/sections/${vaultSection._id}`;
+
+    it('should store nothing readable without the passphrase', async () => {
+      expect(vaultSection).toMatchObject({ vault: true, story: 'Nobody may read this', storyStatus: 'ok' });
+
+      const section = await Section.findById(vaultSection._id).select('+searchIndex');
+      expect(section.vault.salt).toBeTruthy();
+      expect(section.wordCount).toBeNull();
+      expect(section.plaintextSize).toBeNull();
+      expect(section.searchIndex).toEqual([]);
+
+      const dataKey = await dataKeyService.getDataKey(testUser._id);
+      expect(() => encryptionService.decrypt(section.story, dataKey)).toThrow('Integrity check failed');
+    });
+
+    it('should list vault sections as locked placeholders', async () => {
+      const response = await request(app)
+        .get(`/api/books/${testBook._id}/sections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('X-Vault-Passphrase', passphrase)
+        .expect(200);
+
+      const [section] = response.body.data.sections;
+      expect(section).toMatchObject({ title: 'Journal', vault: true, story: null, storyStatus: 'locked' });
+    });
+
+    it('should return the story only with the unlock header', async () => {
+      const locked = await request(app)
+        .get(sectionUrl())
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(locked.body.data).toMatchObject({ story: null, storyStatus: 'locked' });
+
+      await request(app)
+        .get(sectionUrl())
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('X-Vault-Passphrase', 'not the passphrase')
+        .expect(403);
+
+      const unlocked = await request(app)
+        .get(sectionUrl())
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('X-Vault-Passphrase', passphrase)
+        .expect(200);
+      expect(unlocked.body.data).toMatchObject({ story: 'Nobody may read this', storyStatus: 'ok', wordCount: 4 });
+    });
+
+    it('should require the passphrase to update a vault section', async () => {
+      await request(app)
+        .put(sectionUrl())
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Journal', story: 'Overwritten' })
+        .expect(423);
+
+      const response = await request(app)
+        .put(sectionUrl())
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('X-Vault-Passphrase', passphrase)
+        .send({ title: 'Journal', story: 'Still private' })
+        .expect(200);
+      expect(response.body.data).toMatchObject({ vault: true, story: 'Still private' });
+
+      const unlocked = await request(app)
+        .get(sectionUrl())
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('X-Vault-Passphrase', passphrase)
+        .expect(200);
+      expect(unlocked.body.data.story).toBe('Still private');
+    });
+
+    it('should change the passphrase and take sections out of the vault', async () => {
+      await request(app)
+        .put(sectionUrl())
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('X-Vault-Passphrase', passphrase)
+        .send({ title: 'Journal', story: 'New lock', vaultPassphrase: 'a different passphrase' })
+        .expect(200);
+
+      await request(app)
+        .get(sectionUrl())
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('X-Vault-Passphrase', passphrase)
+        .expect(403);
+
+      const opened = await request(app)
+        .put(sectionUrl())
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('X-Vault-Passphrase', 'a different passphrase')
+        .send({ title: 'Journal', story: 'Out in the open', vaultPassphrase: null })
+        .expect(200);
+      expect(opened.body.data.vault).toBe(false);
+
+      const section = await request(app)
+        .get(sectionUrl())
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(section.body.data).toMatchObject({ story: 'Out in the open', storyStatus: 'ok', wordCount: 4 });
+    });
+
+    it('should limit wrong passphrases per section', async () => {
+      for (let i = 0; i < 5; i++) {
+        await request(app)
+          .get(sectionUrl())
+          .set('Authorization', `Bearer ${authToken}`)
+          .set('X-Vault-Passphrase', 'incorrect horse battery')
+          .expect(403);
+      }
+
+      const limited = await request(app)
+        .get(sectionUrl())
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('X-Vault-Passphrase', passphrase)
+        .expect(429);
+      expect(limited.body.message).toBe('Too many wrong vault passphrases, please try again later.');
+
+      const other = await request(app)
+        .post(`/api/books/${testBook._id}/sections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Other journal', story: 'Still readable', vaultPassphrase: passphrase })
+        .expect(201);
+      await request(app)
+        .get(`/api/books/${testBook._id}/sections/${other.body.data._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('X-Vault-Passphrase', passphrase)
+        .expect(200);
+    });
+
+    it('should reject vaults in client-encrypted books', async () => {
+      const clientBook = await Book.create({ title: 'Private', user: testUser._id, encryptionMode: 'client' });
+
+      const response = await request(app)
+        .post(`/api/books/${clientBook._id}/sections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Chapter', clientEncrypted: { payload: 'b64:AA==', algorithm: 'AES-GCM-256' }, vaultPassphrase: passphrase })
+        .expect(400);
+
+      expect(response.body.message).toBe('Vault sections are not available for client-encrypted books');
+    });
+  });
+
+  describe('Story sizes', () => {
+    const chapter = 'The lighthouse keeper climbed the stairs again. '.repeat(500);
+
+    it('should report plaintext and stored size per section', async () => {
+      const created = await request(app)
+        .post(`/api/books/${testBook._id}/sections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Long chapter', story: chapter })
+        .expect(201);
+
+      expect(created.body.data.plaintextSize).toBe(chapter.length);
+      expect(created.body.data.storedSize).toBeLessThan(chapter.length / 4);
+
+      const section = await request(app)
+        .get(`/api/books/${testBook._id}/sections/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(section.body.data.plaintextSize).toBe(chapter.length);
+      expect(section.body.data.storedSize).toBe(created.body.data.storedSize);
+    });
+
+    it('should total the sizes per book', async () => {
+      for (const title of ['One', 'Two']) {
+        await request(app)
+          .post(`/api/books/${testBook._id}/sections`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ title, story: chapter })
+          .expect(201);
+      }
+      const stored = (await Section.find({ book: testBook._id })).reduce((sum, section) => sum + section.storedSize(), 0);
+
+      const response = await request(app)
+        .get(`/api/books/${testBook._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.plaintextSize).toBe(chapter.length * 2);
+      expect(response.body.data.storedSize).toBe(stored);
+
+      const list = await request(app)
+        .get('/api/books')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.data[0]).toMatchObject({ plaintextSize: chapter.length * 2, storedSize: stored });
+    });
+  });
+});
@@ -0,0 +1,251 @@
+const request = require('supertest');
+const User = require('../../models/user.model');
+const Session = require('../../models/session.model');
+const totpService = require('../../services/totp.service');
+const { createDevIssuer } = require('../../scripts/oidc-dev-issuer');
+
+// Import app without starting server
+const app = require('../../server');
+
+describe('OpenID Connect Integration Tests', () => {
+  let issuer;
+
+  // Start a flow through the API, then let the stand-in issuer approve it
+  const authorize = async (path, loginHint, token) => {
+    const start = request(app).post(path);
+    if (token) start.set('Authorization', `Bearer ${token}`);
+    const response = await start.expect(200);
+
+    const url = new URL(response.body.data.authorizationUrl);
+    url.searchParams.set('login_hint', loginHint);
+    const redirect = await fetch(url, { redirect: 'manual' });
+    const location = new URL(redirect.headers.get('location'));
+
+    return { code: location.searchParams.get('code'), state: location.searchParams.get('state') };
+  };
+
+  const loginWithProvider = async (loginHint) => {
+    const params = await authorize('/api/auth/oidc/dev/authorize', loginHint);
+    return request(app).post('/api/auth/oidc/dev/callback').send(params);
+  };
+
+  const loginWithPassword = async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'writer@example.com', password: 'TestPass123' })
+      .expect(200);
+    return response.body.data.token;
+  };
+
+  beforeAll(async () => {
+    issuer = await createDevIssuer({
+      clientId: 'mystory',
+      clientSecret: 'dev-secret',
+      users: [
+        { sub: 'dev-writer', email: 'writer@example.com', email_verified: true, name: 'Dev Writer' },
+        { sub: 'dev-reader', email: 'reader@example.com', email_verified: true }
+      ]
+    }).listen();
+
+    process.env.OIDC_PROVIDERS = 'dev';
+    process.env.OIDC_DEV_ISSUER = issuer.issuer;
+    process.env.OIDC_DEV_CLIENT_ID = 'mystory';
+    process.env.OIDC_DEV_CLIENT_SECRET = 'dev-secret';
+  });
+
+  afterAll(async () => {
+    delete process.env.OIDC_PROVIDERS;
+    await issuer.close();
+  });
+
+  it('should list configured providers', async () => {
+    const response = await request(app)
+      .get('/api/auth/oidc/providers')
+      .expect(200);
+
+    expect(response.body.data).toEqual(['dev']);
+  });
+
+  it('should return 404 for unknown providers', async () => {
+    await request(app)
+      .post('/api/auth/oidc/nope/authorize')
+      .expect(404);
+  });
+
+  it('should create a passwordless account on first login and reuse it afterwards', async () => {
+    const first = await loginWithProvider('reader@example.com');
+    expect(first.status).toBe(200);
+    expect(first.body.data.token).toBeDefined();
+    expect(first.body.data.user.hasPassword).toBe(false);
+    expect(first.body.data.user.emailVerified).toBe(true);
+
+    const second = await loginWithProvider('reader@example.com');
+    expect(second.status).toBe(200);
+    expect(second.body.data.user._id).toBe(first.body.data.user._id);
+    expect(await User.countDocuments({ email: 'reader@example.com' })).toBe(1);
+  });
+
+  it('should not take over an existing account with the same email', async () => {
+    await User.create({ email: 'writer@example.com', password: 'TestPass123' });
+
+    const response = await loginWithProvider('writer@example.com');
+
+    expect(response.status).toBe(409);
+  });
+
+  it('should only accept a state once', async () => {
+    const params = await authorize('/api/auth/oidc/dev/authorize', 'reader@example.com');
+
+    await request(app).post('/api/auth/oidc/dev/callback').send(params).expect(200);
+    const response = await request(app).post('/api/auth/oidc/dev/callback').send(params).expect(401);
+
+    expect(response.body.message).toBe('Invalid or expired authorization state');
+  });
+
+  describe('Accounts without a password', () => {
+    const loginAsReader = async () => {
+      const response = await loginWithProvider('reader@example.com');
+      expect(response.status).toBe(200);
+      return response.body.data.token;
+    };
+
+    // Move every session's login time back past the re-authentication window
+    const ageSessions = () => Session.collection.updateMany({}, { $set: { createdAt: new Date(Date.now() - 60 * 60 * 1000) } });
+
+    it('should confirm sensitive changes with a fresh provider login', async () => {
+      const token = await loginAsReader();
+
+      await request(app)
+        .put('/api/auth/email')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ email: 'renamed@example.com' })
+        .expect(200);
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(200);
+
+      const { secret } = setup.body.data;
+      await request(app)
+        .post('/api/auth/2fa/confirm')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: totpService.generate(secret, Date.now() - 30 * 1000) })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: totpService.generate(secret) })
+        .expect(200);
+
+      await request(app)
+        .delete('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(200);
+
+      expect(await User.countDocuments({ email: 'reader@example.com' })).toBe(0);
+    });
+
+    it('should ask for a new login once the session is no longer fresh', async () => {
+      const token = await loginAsReader();
+      await ageSessions();
+
+      const response = await request(app)
+        .delete('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(401);
+
+      expect(response.body.message).toBe('Log in again to confirm this change');
+
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(401);
+
+      await request(app)
+        .delete('/api/auth/me')
+        .set('Authorization', `Bearer ${await loginAsReader()}`)
+        .send({})
+        .expect(200);
+    });
+
+    it('should still require the password from accounts that have one', async () => {
+      await User.create({ email: 'writer@example.com', password: 'TestPass123' });
+      const token = await loginWithPassword();
+
+      await request(app)
+        .delete('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(401);
+    });
+  });
+
+  describe('Linked identities', () => {
+    beforeEach(async () => {
+      await User.create({ email: 'writer@example.com', password: 'TestPass123' });
+    });
+
+    it('should link a provider and then log in with it', async () => {
+      const token = await loginWithPassword();
+      const params = await authorize('/api/auth/oidc/dev/link', 'writer@example.com', token);
+
+      const linked = await request(app)
+        .post('/api/auth/oidc/dev/link/callback')
+        .set('Authorization', `Bearer ${token}`)
+        .send(params)
+        .expect(200);
+
+      expect(linked.body.data).toHaveLength(1);
+      expect(linked.body.data[0].provider).toBe('dev');
+
+      const login = await loginWithProvider('writer@example.com');
+      expect(login.status).toBe(200);
+      expect(login.body.data.user.email).toBe('writer@example.com');
+    });
+
+    it('should not complete a linking flow as a login', async () => {
+      const token = await loginWithPassword();
+      const params = await authorize('/api/auth/oidc/dev/link', 'reader@example.com', token);
+
+      await request(app)
+        .post('/api/auth/oidc/dev/callback')
+        .send(params)
+        .expect(401);
+    });
+
+    it('should refuse linking a provider account used by another user', async () => {
+      await loginWithProvider('reader@example.com');
+      const token = await loginWithPassword();
+      const params = await authorize('/api/auth/oidc/dev/link', 'reader@example.com', token);
+
+      await request(app)
+        .post('/api/auth/oidc/dev/link/callback')
+        .set('Authorization', `Bearer ${token}`)
+        .send(params)
+        .expect(409);
+    });
+
+    it('should unlink identities but keep a way to log in', async () => {
+      const login = await loginWithProvider('reader@example.com');
+      const token = login.body.data.token;
+
+      const identities = await request(app)
+        .get('/api/auth/identities')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .delete(`/api/auth/identities/${identities.body.data[0]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Set a password or link another provider before unlinking this one');
+    });
+  });
+});
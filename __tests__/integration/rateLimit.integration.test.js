@@ -0,0 +1,71 @@
+const request = require('supertest');
+
+// Rate limiters read their limits when the routes are loaded, so set them before
+// importing the app; every test file gets its own app and limiter state
+process.env.RATE_LIMIT_MAX_REQUESTS = '5';
+
+// Import app without starting server
+const app = require('../../server');
+
+// Limits are kept per client IP; give each test its own so they do not share counters
+app.set('trust proxy', 1);
+
+describe('Rate Limiting', () => {
+  it('should limit registration attempts', async () => {
+    const userData = {
+      email: 'rate@example.com',
+      password: 'TestPass123'
+    };
+
+    // Make multiple requests quickly
+    const promises = Array(6).fill().map(() =>
+      request(app)
+        .post('/api/auth/register')
+        .set('X-Forwarded-For', '10.0.0.1')
+        .send(userData)
+    );
+
+    const responses = await Promise.all(promises);
+
+    // First 5 should succeed (or fail for other reasons), 6th should be rate limited
+    const rateLimitedResponse = responses.find(res => res.status === 429);
+    expect(rateLimitedResponse).toBeDefined();
+    expect(rateLimitedResponse.body.message).toContain('Too many requests');
+  });
+
+  it('should limit login attempts', async () => {
+    const loginData = {
+      email: 'test@example.com',
+      password: 'WrongPassword'
+    };
+
+    // Make multiple requests quickly
+    const promises = Array(6).fill().map(() =>
+      request(app)
+        .post('/api/auth/login')
+        .set('X-Forwarded-For', '10.0.0.2')
+        .send(loginData)
+    );
+
+    const responses = await Promise.all(promises);
+
+    // First 5 should fail with 401, 6th should be rate limited
+    const rateLimitedResponse = responses.find(res => res.status === 429);
+    expect(rateLimitedResponse).toBeDefined();
+    expect(rateLimitedResponse.body.message).toContain('Too many requests');
+  });
+
+  it('should limit rejected refresh attempts', async () => {
+    const responses = [];
+    for (let i = 0; i < 6; i++) {
+      responses.push(await request(app)
+        .post('/api/auth/refresh')
+        .set('X-Forwarded-For', '10.0.0.3')
+        .send({ refreshToken: `invalid-${i}` }));
+    }
+
+    expect(responses.slice(0, 5).every(res => res.status === 401)).toBe(true);
+    expect(responses[5].status).toBe(429);
+    expect(responses[5].body.message).toContain('Too many requests');
+  });
+});
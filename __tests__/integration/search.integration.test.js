@@ -0,0 +1,158 @@
+const request = require('supertest');
+const User = require('../../models/user.model');
+const Book = require('../../models/book.model');
+const Section = require('../../models/section.model');
+const jwtService = require('../../services/jwt.service');
+
+const app = require('../../server');
+
+describe('Search Integration Tests', () => {
+  let testUser, authToken, testBook;
+
+  const addSection = (book, title, story, token = authToken) => request(app)
+    .post(`/api/books/${book._id}/sections`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title, story })
+    .expect(201);
+
+  beforeEach(async () => {
+    testUser = await User.create({ email: 'test@example.com', password: 'TestPass123' });
+    authToken = jwtService.generateToken(testUser._id.toString());
+    testBook = await Book.create({ title: 'The Keeper', user: testUser._id });
+
+    await addSection(testBook, 'Arrival', 'The keeper rows out to the island at dusk.');
+    await addSection(testBook, 'Fire', 'That night the lighthouse burns, and the keeper watches from the rocks.');
+  });
+
+  describe('GET /api/books/:bookId/search', () => {
+    it('should find sections containing every word of the query', async () => {
+      const response = await request(app)
+        .get(`/api/books/${testBook._id}/search`)
+        .query({ q: 'Lighthouse BURNS' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      const [result] = response.body.data;
+      expect(result.section.title).toBe('Fire');
+      expect(result.book.title).toBe('The Keeper');
+      expect(result.highlights.map(({ start, end }) => result.snippet.substring(start, end))).toEqual(['lighthouse', 'burns']);
+    });
+
+    it('should return every section sharing a word', async () => {
+      const response = await request(app)
+        .get(`/api/books/${testBook._id}/search`)
+        .query({ q: 'keeper' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(result => result.section.title)).toEqual(['Arrival', 'Fire']);
+    });
+
+    it('should find updated stories by their new words only', async () => {
+      const [section] = await Section.find({ book: testBook._id }).sort({ order: 1 });
+
+      await request(app)
+        .put(`/api/books/${testBook._id}/sections/${section._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Arrival', story: 'A storm keeps the boat ashore.' })
+        .expect(200);
+
+      const search = (q) => request(app)
+        .get(`/api/books/${testBook._id}/search`)
+        .query({ q })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect((await search('storm')).body.total).toBe(1);
+      expect((await search('island')).body.total).toBe(0);
+    });
+
+    it('should not return the index with sections', async () => {
+      const response = await request(app)
+        .get(`/api/books/${testBook._id}/sections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.sections[0].searchIndex).toBeUndefined();
+    });
+
+    it('should refuse to search client-encrypted books', async () => {
+      const clientBook = await Book.create({ title: 'Private', user: testUser._id, encryptionMode: 'client' });
+
+      const response = await request(app)
+        .get(`/api/books/${clientBook._id}/search`)
+        .query({ q: 'keeper' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Search is not available for client-encrypted books');
+    });
+
+    it('should require a query with a searchable word', async () => {
+      await request(app)
+        .get(`/api/books/${testBook._id}/search`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      const response = await request(app)
+        .get(`/api/books/${testBook._id}/search`)
+        .query({ q: 'a ?' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Search query must contain at least one word of two or more characters');
+    });
+  });
+
+  describe('GET /api/search', () => {
+    it('should search across the user\'s books', async () => {
+      const secondBook = await Book.create({ title: 'The Harbour', user: testUser._id });
+      await addSection(secondBook, 'Ashes', 'Years after the lighthouse burns, the harbour is rebuilt.');
+      const clientBook = await Book.create({ title: 'Private', user: testUser._id, encryptionMode: 'client' });
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ q: 'lighthouse burns' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(2);
+      expect(response.body.data.map(result => result.book.title).sort()).toEqual(['The Harbour', 'The Keeper']);
+      expect(response.body.excludedBooks).toEqual([clientBook._id.toString()]);
+    });
+
+    it('should not find other users\' sections', async () => {
+      const otherUser = await User.create({ email: 'other@example.com', password: 'TestPass123' });
+      const otherToken = jwtService.generateToken(otherUser._id.toString());
+      const otherBook = await Book.create({ title: 'Other', user: otherUser._id });
+      await addSection(otherBook, 'Theirs', 'Their lighthouse burns too.', otherToken);
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ q: 'lighthouse' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(result => result.section.title)).toEqual(['Fire']);
+    });
+
+    it('should paginate results', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ q: 'keeper', limit: 1, page: 2 })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ count: 1, total: 2, page: 2, pages: 2 });
+      expect(response.body.data[0].section.title).toBe('Fire');
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/search')
+        .query({ q: 'keeper' })
+        .expect(401);
+    });
+  });
+});
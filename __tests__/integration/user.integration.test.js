@@ -0,0 +1,137 @@
+const request = require('supertest');
+const User = require('../../models/user.model');
+const Book = require('../../models/book.model');
+const jwtService = require('../../services/jwt.service');
+
+// Import app without starting server
+const app = require('../../server');
+
+describe('User Integration Tests', () => {
+  let testUser, authToken;
+
+  beforeEach(async () => {
+    testUser = new User({
+      email: 'test@example.com',
+      password: 'TestPass123'
+    });
+    await testUser.save();
+
+    authToken = jwtService.generateToken(testUser._id.toString());
+  });
+
+  describe('GET /api/users/me/profile', () => {
+    it('should return an empty profile for new users', async () => {
+      const response = await request(app)
+        .get('/api/users/me/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.displayName).toBe('');
+      expect(response.body.data.penNames).toEqual([]);
+    });
+
+    it('should return 401 without authentication', async () => {
+      await request(app)
+        .get('/api/users/me/profile')
+        .expect(401);
+    });
+  });
+
+  describe('PUT /api/users/me/profile', () => {
+    it('should update profile fields and pen names', async () => {
+      const response = await request(app)
+        .put('/api/users/me/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          displayName: 'Jane Writer',
+          bio: 'Writes about lighthouses.',
+          avatar: 'avatars/jane.png',
+          website: 'https://jane.example.com',
+          penNames: [{ name: 'J. W. Harbor' }, { name: 'Mara Vell' }]
+        })
+        .expect(200);
+
+      expect(response.body.data.displayName).toBe('Jane Writer');
+      expect(response.body.data.penNames).toHaveLength(2);
+      expect(response.body.data.penNames[0]._id).toBeDefined();
+    });
+
+    it('should validate the website URL', async () => {
+      const response = await request(app)
+        .put('/api/users/me/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ website: 'not a url' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+    });
+
+    it('should unassign removed pen names from books', async () => {
+      testUser.profile.penNames.push({ name: 'Mara Vell' });
+      await testUser.save();
+      const penNameId = testUser.profile.penNames[0]._id;
+      const book = await Book.create({ title: 'Tides', user: testUser._id, penName: penNameId });
+
+      await request(app)
+        .put('/api/users/me/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ penNames: [] })
+        .expect(200);
+
+      const stored = await Book.findById(book._id);
+      expect(stored.penName).toBeNull();
+    });
+
+    it('should reject unknown pen name ids', async () => {
+      const response = await request(app)
+        .put('/api/users/me/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ penNames: [{ _id: '507f1f77bcf86cd799439011', name: 'Ghost' }] })
+        .expect(400);
+
+      expect(response.body.message).toBe('Pen name not found');
+    });
+  });
+
+  describe('Books with pen names', () => {
+    it('should show the pen name as the author of a book', async () => {
+      testUser.profile.displayName = 'Jane Writer';
+      testUser.profile.penNames.push({ name: 'Mara Vell' });
+      await testUser.save();
+      const penNameId = testUser.profile.penNames[0]._id.toString();
+
+      const response = await request(app)
+        .post('/api/books')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Tides', penName: penNameId })
+        .expect(201);
+
+      expect(response.body.data.authorName).toBe('Mara Vell');
+    });
+
+    it('should fall back to the display name without a pen name', async () => {
+      testUser.profile.displayName = 'Jane Writer';
+      await testUser.save();
+
+      const response = await request(app)
+        .post('/api/books')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Tides' })
+        .expect(201);
+
+      expect(response.body.data.authorName).toBe('Jane Writer');
+      expect(JSON.stringify(response.body.data)).not.toContain('test@example.com');
+    });
+
+    it('should reject pen names of other users', async () => {
+      const response = await request(app)
+        .post('/api/books')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Tides', penName: '507f1f77bcf86cd799439011' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Pen name not found');
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/user.model');
+const jwtKeyset = require('../../services/jwtKeyset.service');
+
+// Import app without starting server
+const app = require('../../server');
+
+describe('Well-known Integration Tests', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    fs.writeFileSync(path.join(dir, 'primary.pem'), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    process.env.JWT_KEYS_DIR = dir;
+    jwtKeyset.reload();
+  });
+
+  afterEach(() => {
+    delete process.env.JWT_KEYS_DIR;
+    jwtKeyset.cache = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('GET /.well-known/jwks.json', () => {
+    it('should publish the public signing keys', async () => {
+      const response = await request(app)
+        .get('/.well-known/jwks.json')
+        .expect(200);
+
+      expect(response.headers['cache-control']).toBe('public, max-age=300');
+      expect(response.body.keys).toHaveLength(1);
+      expect(response.body.keys[0]).toMatchObject({ kty: 'RSA', kid: 'primary', alg: 'RS256', use: 'sig' });
+      expect(response.body.keys[0].d).toBeUndefined();
+    });
+
+    it('should let other services verify access tokens with the published key', async () => {
+      await User.create({ email: 'test@example.com', password: 'TestPass123' });
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'TestPass123' })
+        .expect(200);
+
+      const { body } = await request(app).get('/.well-known/jwks.json').expect(200);
+      const publicKey = crypto.createPublicKey({ key: body.keys[0], format: 'jwk' });
+
+      const decoded = jwt.verify(login.body.data.token, publicKey, { algorithms: ['RS256'] });
+      expect(decoded.sid).toBeDefined();
+    });
+  });
+});
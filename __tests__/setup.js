@@ -1,8 +1,14 @@
-require('dotenv').config({ path: '.env.test' });
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', 'env.test') });
 const mongoose = require('mongoose');
 const User = require('../models/user.model');
 const Book = require('../models/book.model');
 const Section = require('../models/section.model');
+const Session = require('../models/session.model');
+const RefreshToken = require('../models/refreshToken.model');
+const PersonalAccessToken = require('../models/personalAccessToken.model');
+const AuthEvent = require('../models/authEvent.model');
+const OidcAuthorization = require('../models/oidcAuthorization.model');
 
 process.env.NODE_ENV = 'test';
 
@@ -21,6 +27,11 @@ beforeEach(async () => {
   await User.deleteMany({});
   await Book.deleteMany({});
   await Section.deleteMany({});
+  await Session.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await PersonalAccessToken.deleteMany({});
+  await AuthEvent.deleteMany({});
+  await OidcAuthorization.deleteMany({});
   jest.clearAllMocks();
 });
 
@@ -5,12 +5,23 @@ const User = require('../../../models/user.model');
 const { mockRequest, mockResponse } = require('../../helpers/testHelpers');
 
 // Mock dependencies
-jest.mock('../../../services/encryption.service');
+jest.mock('../../../services/dataKey.service');
 
 const encryptionService = require('../../../services/encryption.service');
+const dataKeyService = require('../../../services/dataKey.service');
 
 describe('Book Controller', () => {
   let req, res, testUser, testBook;
+  const dataKey = { id: 'user-key', key: Buffer.alloc(32) };
+  let storyEncrypt, storyDecrypt;
+
+  // Stories are encrypted with the data key and stubbed here; titles keep the real field encryption
+  const stubStoryEncryption = (method) => {
+    const original = encryptionService[method].bind(encryptionService);
+    const stub = jest.fn();
+    jest.spyOn(encryptionService, method).mockImplementation((text, key) => (key ? stub(text, key) : original(text)));
+    return stub;
+  };
 
   beforeEach(async () => {
     req = mockRequest();
@@ -33,6 +44,13 @@ describe('Book Controller', () => {
     await testBook.save();
 
     req.user = testUser.toJSON();
+    dataKeyService.getDataKey.mockResolvedValue(dataKey);
+    storyEncrypt = stubStoryEncryption('encrypt');
+    storyDecrypt = stubStoryEncryption('decrypt');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
   });
 
   describe('getBooks', () => {
@@ -51,6 +69,10 @@ describe('Book Controller', () => {
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: 2,
+        total: 2,
+        page: 1,
+        pages: 1,
+        links: expect.objectContaining({ prev: null, next: null }),
         data: expect.arrayContaining([
           expect.objectContaining({ title: 'Test Book' }),
           expect.objectContaining({ title: 'Book 2' })
@@ -68,10 +90,47 @@ describe('Book Controller', () => {
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: 0,
+        total: 0,
+        page: 1,
+        pages: 0,
+        links: expect.objectContaining({ prev: null, next: null }),
         data: []
       });
     });
 
+    it('should sort by title and filter by title prefix after decryption', async () => {
+      for (const title of ['the Attic', 'Basement', 'The Cellar']) {
+        await Book.create({ title, user: testUser._id });
+      }
+      req.query = { sort: '-title', titlePrefix: 'THE ' };
+
+      await bookController.getBooks(req, res);
+
+      const { data, total } = res.json.mock.calls[0][0];
+      expect(total).toBe(2);
+      expect(data.map(book => book.title)).toEqual(['The Cellar', 'the Attic']);
+    });
+
+    it('should paginate and link to the neighbouring pages', async () => {
+      for (let i = 1; i <= 4; i++) {
+        await Book.create({ title: `Volume ${i}`, user: testUser._id, isPublished: i % 2 === 0 });
+      }
+      req.originalUrl = '/api/books?isPublished=false&limit=2&page=2';
+      req.query = { isPublished: 'false', limit: '2', page: '2' };
+
+      await bookController.getBooks(req, res);
+
+      const response = res.json.mock.calls[0][0];
+      expect(response).toMatchObject({ count: 1, total: 3, page: 2, pages: 2 });
+      expect(response.links).toEqual({
+        self: '/api/books?isPublished=false&page=2&limit=2',
+        first: '/api/books?isPublished=false&page=1&limit=2',
+        prev: '/api/books?isPublished=false&page=1&limit=2',
+        next: null,
+        last: '/api/books?isPublished=false&page=2&limit=2'
+      });
+    });
+
     it('should handle getBooks errors', async () => {
       // Mock Book.find to throw error
       const originalFind = Book.find;
@@ -116,7 +175,7 @@ describe('Book Controller', () => {
       });
 
       // Verify book was created in database
-      const savedBook = await Book.findOne({ title: bookData.title });
+      const savedBook = await Book.findById(res.json.mock.calls[0][0].data._id);
       expect(savedBook).toBeDefined();
       expect(savedBook.title).toBe(bookData.title);
     });
@@ -181,7 +240,7 @@ describe('Book Controller', () => {
       req.params = { bookId: testBook._id.toString() };
 
       // Mock encryption service
-      encryptionService.decrypt
+      storyDecrypt
         .mockReturnValueOnce('Decrypted story 1')
         .mockReturnValueOnce('Decrypted story 2');
 
@@ -206,7 +265,8 @@ describe('Book Controller', () => {
         }
       });
 
-      expect(encryptionService.decrypt).toHaveBeenCalledTimes(2);
+      expect(storyDecrypt).toHaveBeenCalledTimes(2);
+      expect(storyDecrypt).toHaveBeenCalledWith('encrypted-story-1', dataKey);
     });
 
     it('should return 404 for non-existent book', async () => {
@@ -247,7 +307,7 @@ describe('Book Controller', () => {
       });
     });
 
-    it('should handle decryption errors gracefully', async () => {
+    it('should report sections that cannot be decrypted as corrupt', async () => {
       const section = new Section({
         title: 'Section 1',
         story: 'encrypted-story',
@@ -259,7 +319,7 @@ describe('Book Controller', () => {
       req.params = { bookId: testBook._id.toString() };
 
       // Mock encryption service to throw error
-      encryptionService.decrypt.mockImplementation(() => {
+      storyDecrypt.mockImplementation(() => {
         throw new Error('Decryption failed');
       });
 
@@ -274,7 +334,13 @@ describe('Book Controller', () => {
           sections: expect.arrayContaining([
             expect.objectContaining({
               title: 'Section 1',
-              story: '[Encryption Error]'
+              story: null,
+              storyStatus: 'corrupt',
+              storyError: {
+                code: 'DECRYPTION_FAILED',
+                keyId: null,
+                message: 'Decryption failed'
+              }
             })
           ])
         }
@@ -315,7 +381,7 @@ describe('Book Controller', () => {
       req.params = { bookId: testBook._id.toString() };
 
       // Mock encryption service
-      encryptionService.encrypt.mockReturnValue('encrypted-story-content');
+      storyEncrypt.mockReturnValue('encrypted-story-content');
 
       await bookController.addSection(req, res);
 
@@ -332,12 +398,12 @@ describe('Book Controller', () => {
       });
 
       // Verify section was created in database
-      const savedSection = await Section.findOne({ title: sectionData.title });
+      const savedSection = await Section.findById(res.json.mock.calls[0][0].data._id);
       expect(savedSection).toBeDefined();
       expect(savedSection.title).toBe(sectionData.title);
       expect(savedSection.story).not.toBe(sectionData.story); // Should be encrypted in DB
 
-      expect(encryptionService.encrypt).toHaveBeenCalledWith(sectionData.story);
+      expect(storyEncrypt).toHaveBeenCalledWith(sectionData.story, dataKey);
     });
 
     it('should assign correct order number for new section', async () => {
@@ -356,7 +422,7 @@ describe('Book Controller', () => {
       };
       req.params = { bookId: testBook._id.toString() };
 
-      encryptionService.encrypt.mockReturnValue('encrypted-story');
+      storyEncrypt.mockReturnValue('encrypted-story');
 
       await bookController.addSection(req, res);
 
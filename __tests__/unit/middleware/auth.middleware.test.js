@@ -152,4 +152,77 @@ describe('Auth Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
   });
-}); 
\ No newline at end of file
+
+  describe('requireScope', () => {
+    it('should allow session logins regardless of scope', () => {
+      req.auth = { type: 'jwt', sessionId: null };
+
+      authMiddleware.requireScope('books:write')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should allow personal access tokens with the required scope', () => {
+      req.auth = { type: 'personal_access_token', scopes: ['books:read', 'books:write'] };
+
+      authMiddleware.requireScope('books:write')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 403 when a personal access token lacks the scope', () => {
+      req.auth = { type: 'personal_access_token', scopes: ['books:read'] };
+
+      authMiddleware.requireScope('books:write')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Token is missing required scope: books:write'
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireSession', () => {
+    it('should allow session logins', () => {
+      req.auth = { type: 'jwt', sessionId: null };
+
+      authMiddleware.requireSession(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 403 for personal access tokens', () => {
+      req.auth = { type: 'personal_access_token', scopes: ['books:read'] };
+
+      authMiddleware.requireSession(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authorize', () => {
+    it('should allow users with one of the roles', () => {
+      req.user = { role: 'support' };
+
+      authMiddleware.authorize('admin', 'support')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 403 for other roles', () => {
+      req.user = { role: 'user' };
+
+      authMiddleware.authorize('admin')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const Book = require('../../../models/book.model');
 const User = require('../../../models/user.model');
+const encryptionService = require('../../../services/encryption.service');
 
 describe('Book Model', () => {
   let testUser;
@@ -126,6 +127,114 @@ describe('Book Model', () => {
       
       expect(book.isPublished).toBe(false);
       expect(book.description).toBeUndefined();
+      expect(book.encryptionMode).toBe('server');
+    });
+  });
+
+  describe('Encryption Mode', () => {
+    it('should reject unknown encryption modes', async () => {
+      const book = new Book({
+        title: 'Test Book',
+        user: testUser._id,
+        encryptionMode: 'none'
+      });
+
+      await expect(book.save()).rejects.toThrow('Encryption mode must be one of: server, client');
+    });
+
+    it('should report plaintext features as unavailable for client-encrypted books', () => {
+      const serverBook = new Book({ title: 'Server', user: testUser._id });
+      const clientBook = new Book({ title: 'Client', user: testUser._id, encryptionMode: 'client' });
+
+      expect(serverBook.unavailableFeatures()).toEqual([]);
+      expect(clientBook.isClientEncrypted()).toBe(true);
+      expect(clientBook.unavailableFeatures()).toEqual(['wordCount', 'search', 'export']);
+    });
+  });
+
+  describe('Field Encryption', () => {
+    it('should store title and description encrypted', async () => {
+      const book = await Book.create({ title: 'Unpublished Title', description: 'A secret plot', user: testUser._id });
+
+      const raw = await Book.collection.findOne({ _id: book._id });
+      expect(raw.title).toMatch(/^v4\./);
+      expect(raw.description).toMatch(/^v4\./);
+      expect(encryptionService.decrypt(raw.title)).toBe('Unpublished Title');
+
+      expect(book.title).toBe('Unpublished Title');
+      expect(book.isModified('title')).toBe(false);
+    });
+
+    it('should decrypt fields when loading', async () => {
+      const { _id } = await Book.create({ title: 'Unpublished Title', description: 'A secret plot', user: testUser._id });
+
+      const book = await Book.findById(_id);
+      expect(book.title).toBe('Unpublished Title');
+      expect(book.description).toBe('A secret plot');
+    });
+
+    it('should only re-encrypt modified fields', async () => {
+      const book = await Book.create({ title: 'Unpublished Title', description: 'A secret plot', user: testUser._id });
+      const before = await Book.collection.findOne({ _id: book._id });
+
+      book.title = 'Renamed';
+      await book.save();
+
+      const after = await Book.collection.findOne({ _id: book._id });
+      expect(after.title).not.toBe(before.title);
+      expect(after.description).toBe(before.description);
+      expect((await Book.findById(book._id)).title).toBe('Renamed');
+    });
+
+    it('should read plaintext stored before encryption was enabled', async () => {
+      const { insertedId } = await Book.collection.insertOne({ title: 'Old Title', user: testUser._id });
+
+      expect((await Book.findById(insertedId)).title).toBe('Old Title');
+    });
+
+    it('should read plaintext that starts like an envelope', async () => {
+      const { insertedId } = await Book.collection.insertOne({ title: 'v2. The Return', user: testUser._id });
+
+      const book = await Book.findById(insertedId);
+      expect(book.title).toBe('v2. The Return');
+      expect(book.undecryptableFields()).toEqual([]);
+    });
+
+    it('should keep fields that cannot be decrypted as stored', async () => {
+      const parts = encryptionService.encrypt('Lost Title').split('.');
+      parts[1] = 'k9';
+      const stored = parts.join('.');
+      const { insertedId } = await Book.collection.insertOne({ title: stored, description: 'Plain', user: testUser._id });
+
+      const book = await Book.findById(insertedId);
+      expect(book.title).toBe(stored);
+      expect(book.undecryptableFields()).toEqual(['title']);
+
+      book.description = 'Edited';
+      await book.save();
+      expect((await Book.collection.findOne({ _id: insertedId })).title).toBe(stored);
+
+      book.markModified('title');
+      await expect(book.save()).rejects.toThrow('Cannot save "title"');
+      expect((await Book.collection.findOne({ _id: insertedId })).title).toBe(stored);
+    });
+
+    it('should encrypt a new value given to a field that could not be decrypted', async () => {
+      const parts = encryptionService.encrypt('Lost Title').split('.');
+      parts[1] = 'k9';
+      const { insertedId } = await Book.collection.insertOne({ title: parts.join('.'), user: testUser._id });
+
+      const book = await Book.findById(insertedId);
+      book.title = 'Found Title';
+      await book.save();
+
+      expect((await Book.findById(insertedId)).title).toBe('Found Title');
+    });
+
+    it('should apply length limits to the plaintext', async () => {
+      const book = await Book.create({ title: 'a'.repeat(200), user: testUser._id });
+
+      expect((await Book.findById(book._id)).title).toHaveLength(200);
     });
   });
 
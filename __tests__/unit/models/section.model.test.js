@@ -151,6 +151,16 @@ describe('Section Model', () => {
     });
   });
 
+  describe('Field Encryption', () => {
+    it('should store the title encrypted', async () => {
+      const section = await Section.create({ title: 'The Twist', story: 'text', book: testBook._id });
+
+      const raw = await Section.collection.findOne({ _id: section._id });
+      expect(raw.title).toMatch(/^v4\./);
+      expect((await Section.findById(section._id)).title).toBe('The Twist');
+    });
+  });
+
   describe('Book Reference', () => {
     it('should populate book reference', async () => {
       const section = new Section({
@@ -216,6 +226,72 @@ describe('Section Model', () => {
 
       expect(section.wordCount).toBe(6); // "Updated story with more words"
     });
+
+    it('should count the plaintext of an encrypted story', async () => {
+      const section = new Section({ title: 'Test Section', book: testBook._id });
+      section.setEncryptedStory('v5.key.nonce.tag.data', 'Four words of plaintext');
+      await section.save();
+
+      expect(section.story).toBe('v5.key.nonce.tag.data');
+      expect(section.wordCount).toBe(4);
+    });
+
+    it('should recount an encrypted story edited without changing its word count', async () => {
+      const section = new Section({ title: 'Test Section', book: testBook._id });
+      section.setEncryptedStory('v5.key.nonce.tag.first', 'Four words of plaintext');
+      await section.save();
+
+      section.setEncryptedStory('v5.key.nonce.tag.second', 'Four other plaintext words');
+      await section.save();
+
+      const saved = await Section.findById(section._id);
+      expect(saved.wordCount).toBe(4);
+    });
+
+    it('should leave a story without stored plaintext uncounted', async () => {
+      const section = new Section({ title: 'Test Section', book: testBook._id });
+      section.setEncryptedStory('v5.key.nonce.tag.data', null);
+      await section.save();
+
+      expect(section.wordCount).toBeNull();
+      expect(section.plaintextSize).toBeNull();
+    });
+
+    it('should measure the plaintext of an encrypted story', async () => {
+      const section = new Section({ title: 'Test Section', book: testBook._id });
+      section.setEncryptedStory('v5.key.nonce.tag.data', 'Plaintext größe');
+      await section.save();
+
+      expect(section.plaintextSize).toBe(17);
+      expect(section.storedSize()).toBe(21);
+    });
+
+    it('should measure an encrypted story edited without changing its size', async () => {
+      const section = new Section({ title: 'Test Section', book: testBook._id });
+      section.setEncryptedStory('v5.key.nonce.tag.first', 'Same size, first');
+      await section.save();
+
+      section.setEncryptedStory('v5.key.nonce.tag.second-and-longer', 'Same size, other');
+      await section.save();
+
+      const saved = await Section.findById(section._id);
+      expect(saved.plaintextSize).toBe(16);
+    });
+
+    it('should report the stored size of client-encrypted payloads', () => {
+      const section = new Section({
+        title: 'Test Section',
+        clientEncrypted: { payload: 'b64:ünï', algorithm: 'AES-GCM-256' },
+        book: testBook._id
+      });
+
+      expect(section.storedSize()).toBe(Buffer.byteLength('b64:ünï'));
+    });
+
+    it('should count words of plaintext', () => {
+      expect(Section.countWords('  one two   three ')).toBe(3);
+      expect(Section.countWords('')).toBe(0);
+    });
   });
 
   describe('Order Management', () => {
@@ -47,6 +47,19 @@ describe('User Model', () => {
       expect(error.errors.password).toBeDefined();
     });
 
+    it('should not require a password for accounts linked to a provider', async () => {
+      const user = new User({
+        email: 'test@example.com',
+        identities: [{ provider: 'dev', subject: 'abc' }]
+      });
+
+      await user.save();
+
+      expect(user.hasPassword()).toBe(false);
+      expect(user.toJSON().hasPassword).toBe(false);
+      expect(await user.comparePassword('anything')).toBe(false);
+    });
+
     it('should validate email format', async () => {
       const user = new User({
         email: 'invalid-email',
@@ -209,6 +222,138 @@ describe('User Model', () => {
     });
   });
 
+  describe('Login attempt tracking', () => {
+    let user;
+
+    beforeEach(async () => {
+      user = new User({
+        email: 'test@example.com',
+        password: 'TestPass123'
+      });
+      await user.save();
+    });
+
+    afterEach(() => {
+      delete process.env.LOCKOUT_THRESHOLD;
+    });
+
+    it('should allow logins without failed attempts', () => {
+      expect(user.getLoginRetryAfter()).toBe(0);
+      expect(user.isLocked()).toBe(false);
+    });
+
+    it('should delay attempts exponentially after the first few failures', () => {
+      user.lastFailedLoginAt = new Date();
+
+      user.failedLoginAttempts = 3;
+      const firstDelay = user.getLoginRetryAfter();
+
+      user.failedLoginAttempts = 5;
+      const laterDelay = user.getLoginRetryAfter();
+
+      expect(firstDelay).toBeGreaterThan(0);
+      expect(laterDelay).toBeGreaterThanOrEqual(firstDelay * 4);
+    });
+
+    it('should lock the account once the threshold is reached', async () => {
+      process.env.LOCKOUT_THRESHOLD = '2';
+
+      const first = await User.recordFailedLogin(user._id);
+      expect(first.locked).toBe(false);
+
+      const second = await User.recordFailedLogin(user._id);
+      expect(second.locked).toBe(true);
+      expect(second.user.isLocked()).toBe(true);
+      expect(second.user.failedLoginAttempts).toBe(2);
+    });
+
+    it('should start counting again once a lock has expired', async () => {
+      process.env.LOCKOUT_THRESHOLD = '2';
+      await User.updateOne({ _id: user._id }, {
+        failedLoginAttempts: 2,
+        lastFailedLoginAt: new Date(Date.now() - 120000),
+        lockUntil: new Date(Date.now() - 60000)
+      });
+
+      expect((await User.findById(user._id)).getLoginRetryAfter()).toBe(0);
+
+      const { user: updated, locked } = await User.recordFailedLogin(user._id);
+
+      expect(locked).toBe(false);
+      expect(updated.failedLoginAttempts).toBe(1);
+      expect(updated.isLocked()).toBe(false);
+    });
+
+    it('should lock only once for concurrent failures', async () => {
+      process.env.LOCKOUT_THRESHOLD = '2';
+      await User.recordFailedLogin(user._id);
+
+      const results = await Promise.all([
+        User.recordFailedLogin(user._id),
+        User.recordFailedLogin(user._id),
+        User.recordFailedLogin(user._id)
+      ]);
+
+      expect(results.filter(result => result.locked)).toHaveLength(1);
+      expect((await User.findById(user._id)).isLocked()).toBe(true);
+    });
+
+    it('should clear counters and lock on reset', () => {
+      user.failedLoginAttempts = 12;
+      user.lockUntil = new Date(Date.now() + 60000);
+
+      user.resetLoginAttempts();
+
+      expect(user.failedLoginAttempts).toBe(0);
+      expect(user.isLocked()).toBe(false);
+    });
+
+    it('should expose counters to admins but not in toJSON', () => {
+      user.failedLoginAttempts = 4;
+
+      expect(user.toJSON().failedLoginAttempts).toBeUndefined();
+      expect(user.toAdminJSON().security.failedLoginAttempts).toBe(4);
+    });
+  });
+
+  describe('One-time tokens', () => {
+    it('should claim a token only once', async () => {
+      const user = new User({ email: 'test@example.com', password: 'TestPass123' });
+      const token = user.createMagicLinkToken();
+      await user.save();
+
+      const [first, second] = await Promise.all([
+        User.claimOneTimeToken('magicLinkTokenHash', 'magicLinkExpires', token),
+        User.claimOneTimeToken('magicLinkTokenHash', 'magicLinkExpires', token)
+      ]);
+
+      expect([first, second].filter(Boolean)).toHaveLength(1);
+      expect((first || second).magicLinkTokenHash).toBeNull();
+    });
+
+    it('should not claim expired tokens', async () => {
+      const user = new User({ email: 'test@example.com', password: 'TestPass123' });
+      const token = user.createUnlockToken();
+      user.unlockTokenExpires = new Date(Date.now() - 1000);
+      await user.save();
+
+      expect(await User.claimOneTimeToken('unlockTokenHash', 'unlockTokenExpires', token)).toBeNull();
+    });
+
+    it('should apply additional updates with the claim', async () => {
+      const user = new User({ email: 'test@example.com', password: 'TestPass123', failedLoginAttempts: 5 });
+      const token = user.createUnlockToken();
+      await user.save();
+
+      const claimed = await User.claimOneTimeToken('unlockTokenHash', 'unlockTokenExpires', token, {
+        failedLoginAttempts: 0
+      });
+
+      expect(claimed.failedLoginAttempts).toBe(0);
+      expect(claimed.unlockTokenExpires).toBeNull();
+    });
+  });
+
   describe('Timestamps', () => {
     it('should set createdAt and updatedAt on creation', async () => {
       const user = new User({
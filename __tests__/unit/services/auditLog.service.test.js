@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const auditLogService = require('../../../services/auditLog.service');
+const AuthEvent = require('../../../models/authEvent.model');
+const logger = require('../../../utils/logger');
+const { mockRequest } = require('../../helpers/testHelpers');
+
+describe('AuditLogService', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'writer@example.com' };
+
+  describe('record', () => {
+    it('should store the event with request details', async () => {
+      const req = mockRequest({}, {}, {}, { 'User-Agent': 'curl/8.0' });
+
+      await auditLogService.record('login.success', req, { user, metadata: { method: 'password' } });
+
+      const event = await AuthEvent.findOne({ user: user._id });
+      expect(event.type).toBe('login.success');
+      expect(event.email).toBe('writer@example.com');
+      expect(event.success).toBe(true);
+      expect(event.ip).toBe('127.0.0.1');
+      expect(event.userAgent).toBe('curl/8.0');
+      expect(event.metadata).toEqual({ method: 'password' });
+    });
+
+    it('should record failures for unknown accounts by email', async () => {
+      await auditLogService.record('login.failure', mockRequest(), {
+        email: 'nobody@example.com',
+        success: false
+      });
+
+      const event = await AuthEvent.findOne({ email: 'nobody@example.com' });
+      expect(event.user).toBeNull();
+      expect(event.success).toBe(false);
+    });
+
+    it('should log instead of throwing when the event cannot be stored', async () => {
+      const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      await expect(auditLogService.record('not.a.type', mockRequest(), { user })).resolves.toBeUndefined();
+      expect(await AuthEvent.countDocuments()).toBe(0);
+      expect(logError).toHaveBeenCalledWith('Failed to record auth event', expect.objectContaining({ type: 'not.a.type' }));
+      logError.mockRestore();
+    });
+  });
+
+  describe('list', () => {
+    it('should return the newest events first with a total', async () => {
+      await AuthEvent.create({ user: user._id, type: 'register', createdAt: new Date(Date.now() - 1000) });
+      await AuthEvent.create({ user: user._id, type: 'login.success' });
+
+      const { events, total } = await auditLogService.list({ user: user._id }, { skip: 0, limit: 1 });
+
+      expect(total).toBe(2);
+      expect(events).toHaveLength(1);
+      expect(events[0].type).toBe('login.success');
+    });
+  });
+});
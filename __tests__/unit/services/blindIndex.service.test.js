@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const blindIndexService = require('../../../services/blindIndex.service');
+
+describe('BlindIndexService', () => {
+  const dataKey = { id: 'key-1', key: crypto.randomBytes(32) };
+
+  describe('tokenize', () => {
+    it('should normalize case and accents and drop duplicates', () => {
+      expect(blindIndexService.tokenize('Café, CAFE and café!')).toEqual(['cafe', 'and']);
+    });
+
+    it('should ignore one-character words', () => {
+      expect(blindIndexService.tokenize('a I x 42')).toEqual(['42']);
+    });
+  });
+
+  describe('buildIndex', () => {
+    it('should match queries regardless of case and accents', () => {
+      const index = blindIndexService.buildIndex('The lighthouse burns at dawn', dataKey);
+      const query = blindIndexService.queryIndex('LIGHTHOUSE Burns', dataKey);
+
+      expect(query.every(entry => index.includes(entry))).toBe(true);
+    });
+
+    it('should not contain the words themselves', () => {
+      const index = blindIndexService.buildIndex('lighthouse', dataKey);
+
+      expect(index).toHaveLength(1);
+      expect(index[0]).not.toContain('lighthouse');
+    });
+
+    it('should give different entries for different data keys', () => {
+      const other = { id: 'key-2', key: crypto.randomBytes(32) };
+
+      expect(blindIndexService.buildIndex('lighthouse', dataKey))
+        .not.toEqual(blindIndexService.buildIndex('lighthouse', other));
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('should highlight every matching word in the excerpt', () => {
+      const { snippet, highlights } = blindIndexService.buildSnippet('The Lighthouse burns. The lighthouse falls.', 'lighthouse');
+
+      expect(highlights.map(({ start, end }) => snippet.substring(start, end))).toEqual(['Lighthouse', 'lighthouse']);
+    });
+
+    it('should cut long stories around the first match', () => {
+      const story = `${'before '.repeat(50)}the lighthouse burns${' after'.repeat(50)}`;
+      const { snippet, highlights } = blindIndexService.buildSnippet(story, 'burns');
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet.length).toBeLessThan(story.length);
+      expect(snippet.substring(highlights[0].start, highlights[0].end)).toBe('burns');
+    });
+  });
+});
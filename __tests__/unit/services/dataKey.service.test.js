@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dataKeyService = require('../../../services/dataKey.service');
+const LocalKeyProvider = require('../../../services/keyProviders/local.provider');
+const User = require('../../../models/user.model');
+const { createTestUser } = require('../../helpers/testHelpers');
+
+describe('DataKeyService', () => {
+  let dir;
+  let user;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'master-key-'));
+    dataKeyService.setProvider(new LocalKeyProvider(path.join(dir, 'master.key'), { autoCreate: true }));
+    user = await createTestUser();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    dataKeyService.setProvider(null);
+  });
+
+  describe('getDataKey', () => {
+    it('should create a data key on first use and store it wrapped', async () => {
+      const dataKey = await dataKeyService.getDataKey(user._id);
+
+      expect(dataKey.key).toHaveLength(32);
+
+      const stored = await User.findById(user._id);
+      expect(stored.dataKey.keyId).toBe(dataKey.id);
+      expect(stored.dataKey.provider).toBe('local');
+      expect(stored.dataKey.wrappedKey).not.toContain(dataKey.key.toString('base64url'));
+    });
+
+    it('should return the same key on later calls', async () => {
+      const first = await dataKeyService.getDataKey(user._id);
+      const second = await dataKeyService.getDataKey(user._id);
+
+      expect(second.id).toBe(first.id);
+      expect(second.key.equals(first.key)).toBe(true);
+    });
+
+    it('should keep a single key when created concurrently', async () => {
+      const [first, second] = await Promise.all([
+        dataKeyService.getDataKey(user._id),
+        dataKeyService.getDataKey(user._id)
+      ]);
+
+      expect(second.key.equals(first.key)).toBe(true);
+    });
+
+    it('should not unwrap a key copied to another user', async () => {
+      await dataKeyService.getDataKey(user._id);
+      const other = await createTestUser('other@example.com');
+      const { dataKey } = await User.findById(user._id);
+      await User.updateOne({ _id: other._id }, { dataKey: dataKey.toObject() });
+
+      await expect(dataKeyService.getDataKey(other._id)).rejects.toThrow('Data key could not be unwrapped');
+    });
+  });
+
+  describe('shred', () => {
+    it('should remove the wrapped key and issue a new one afterwards', async () => {
+      const original = await dataKeyService.getDataKey(user._id);
+
+      await dataKeyService.shred(user._id);
+
+      const stored = await User.findById(user._id);
+      expect(stored.dataKey.wrappedKey).toBeFalsy();
+
+      const replacement = await dataKeyService.getDataKey(user._id);
+      expect(replacement.id).not.toBe(original.id);
+      expect(replacement.key.equals(original.key)).toBe(false);
+    });
+  });
+
+  describe('LocalKeyProvider', () => {
+    it('should create a missing master key file when asked to', async () => {
+      const keyFile = path.join(dir, 'nested', 'master.key');
+      const provider = new LocalKeyProvider(keyFile, { autoCreate: true });
+
+      await provider.wrapKey(Buffer.alloc(32), 'context');
+
+      expect(Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'base64')).toHaveLength(32);
+    });
+
+    it('should require an existing master key unless asked to create one', async () => {
+      const keyFile = path.join(dir, 'missing.key');
+      const provider = new LocalKeyProvider(keyFile, { autoCreate: false });
+
+      await expect(provider.wrapKey(Buffer.alloc(32), 'context')).rejects.toThrow('not found');
+      expect(fs.existsSync(keyFile)).toBe(false);
+    });
+
+    it('should reject keys wrapped with a different master key', async () => {
+      const wrapped = await new LocalKeyProvider(path.join(dir, 'first.key'), { autoCreate: true }).wrapKey(Buffer.alloc(32), 'context');
+      const provider = new LocalKeyProvider(path.join(dir, 'second.key'), { autoCreate: true });
+
+      await expect(provider.unwrapKey(wrapped, 'context')).rejects.toThrow('Data key was wrapped with a different master key');
+    });
+  });
+});
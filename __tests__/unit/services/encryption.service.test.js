@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const encryptionService = require('../../../services/encryption.service');
 
 describe('EncryptionService', () => {
@@ -95,6 +96,286 @@ describe('EncryptionService', () => {
     });
   });
 
+  describe('authenticated envelope', () => {
+    it('should produce a versioned envelope with key id, nonce, tag and data', () => {
+      const parts = encryptionService.encrypt('Chapter one').split('.');
+
+      expect(parts).toHaveLength(5);
+      expect(parts[0]).toBe('v4');
+      expect(parts[1]).toBe('k1');
+      expect(Buffer.from(parts[2], 'base64url')).toHaveLength(12);
+      expect(Buffer.from(parts[3], 'base64url')).toHaveLength(16);
+    });
+
+    it('should only take values of the right shape for envelopes', () => {
+      expect(encryptionService.isEnvelope(encryptionService.encrypt('Chapter one'))).toBe(true);
+      expect(encryptionService.isEnvelope('v2. The Return')).toBe(false);
+      expect(encryptionService.isEnvelope('v4.k1.nonce.tag.data')).toBe(false);
+      expect(encryptionService.isEnvelope('Plain title')).toBe(false);
+    });
+
+    it('should use a random nonce for every encryption', () => {
+      const first = encryptionService.encrypt('Same chapter');
+      const second = encryptionService.encrypt('Same chapter');
+
+      expect(first).not.toBe(second);
+      expect(encryptionService.decrypt(first)).toBe(encryptionService.decrypt(second));
+    });
+
+    it('should detect tampering with the data', () => {
+      const parts = encryptionService.encrypt('Do not touch').split('.');
+      const data = Buffer.from(parts[4], 'base64url');
+      data[0] ^= 1;
+      parts[4] = data.toString('base64url');
+
+      expect(() => encryptionService.decrypt(parts.join('.'))).toThrow('Decryption failed');
+    });
+
+    it('should reject truncated authentication tags', () => {
+      const parts = encryptionService.encrypt('Do not touch').split('.');
+      parts[3] = Buffer.from(parts[3], 'base64url').subarray(0, 4).toString('base64url');
+
+      expect(() => encryptionService.decrypt(parts.join('.'))).toThrow('Invalid authentication tag length');
+    });
+
+    it('should reject envelopes with an unknown key id', () => {
+      const parts = encryptionService.encrypt('Secret').split('.');
+      parts[1] = 'k9';
+
+      expect(() => encryptionService.decrypt(parts.join('.'))).toThrow('Unknown encryption key "k9"');
+    });
+  });
+
+  describe('legacy ciphertext', () => {
+    const legacyEncrypt = (text) => {
+      const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(process.env.AES_SECRET_KEY), Buffer.from(process.env.AES_IV));
+      return cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+    };
+
+    it('should decrypt CBC hex written before the switch to GCM', () => {
+      const legacy = legacyEncrypt('An old chapter');
+
+      expect(encryptionService.isLegacy(legacy)).toBe(true);
+      expect(encryptionService.decrypt(legacy)).toBe('An old chapter');
+    });
+
+    it('should require AES_IV only for legacy ciphertext', () => {
+      const legacy = legacyEncrypt('An old chapter');
+      delete process.env.AES_IV;
+      const service = require('../../../services/encryption.service');
+
+      expect(service.decrypt(service.encrypt('New chapter'))).toBe('New chapter');
+      expect(() => service.decrypt(legacy)).toThrow('AES_IV is required to read legacy ciphertext');
+    });
+  });
+
+  describe('key rotation', () => {
+    const OLD_KEY = '12345678901234567890123456789012';
+    const NEW_KEY = 'abcdefghijklmnopqrstuvwxyz012345';
+
+    const loadWithKeys = (env) => {
+      delete process.env.AES_SECRET_KEY;
+      Object.assign(process.env, env);
+      return require('../../../services/encryption.service');
+    };
+
+    it('should encrypt with the last key in AES_KEYS by default', () => {
+      const service = loadWithKeys({ AES_KEYS: `k1:${OLD_KEY},k2:${NEW_KEY}` });
+
+      expect(service.getActiveKeyId()).toBe('k2');
+      expect(service.getKeyId(service.encrypt('Chapter'))).toBe('k2');
+    });
+
+    it('should keep reading ciphertext written with a retired key', () => {
+      const retired = loadWithKeys({ AES_KEYS: `k1:${OLD_KEY}` }).encrypt('Old chapter');
+
+      jest.resetModules();
+      const service = loadWithKeys({ AES_KEYS: `k1:${OLD_KEY},k2:${NEW_KEY}` });
+
+      expect(service.decrypt(retired)).toBe('Old chapter');
+      expect(service.needsReencryption(retired)).toBe(true);
+    });
+
+    it('should re-encrypt with the active key', () => {
+      const retired = loadWithKeys({ AES_KEYS: `k1:${OLD_KEY}` }).encrypt('Old chapter');
+
+      jest.resetModules();
+      const service = loadWithKeys({ AES_KEYS: `k1:${OLD_KEY},k2:${NEW_KEY}` });
+      const rotated = service.reencrypt(retired);
+
+      expect(service.getKeyId(rotated)).toBe('k2');
+      expect(service.needsReencryption(rotated)).toBe(false);
+      expect(service.decrypt(rotated)).toBe('Old chapter');
+    });
+
+    it('should honour AES_ACTIVE_KEY_ID', () => {
+      const service = loadWithKeys({ AES_KEYS: `k1:${OLD_KEY},k2:${NEW_KEY}`, AES_ACTIVE_KEY_ID: 'k1' });
+
+      expect(service.getKeyId(service.encrypt('Chapter'))).toBe('k1');
+    });
+
+    it('should combine AES_SECRET_KEY with additional keys', () => {
+      const service = loadWithKeys({ AES_SECRET_KEY: OLD_KEY, AES_KEYS: `k2:${NEW_KEY}` });
+
+      expect(service.getActiveKeyId()).toBe('k2');
+      expect(service.decrypt(encryptionService.encrypt('Chapter'))).toBe('Chapter');
+    });
+
+    it('should treat legacy ciphertext as needing re-encryption', () => {
+      expect(encryptionService.needsReencryption('00ff')).toBe(true);
+      expect(encryptionService.getKeyId('00ff')).toBeNull();
+    });
+
+    it('should reject an active key id that is not configured', () => {
+      expect(() => loadWithKeys({ AES_KEYS: `k1:${OLD_KEY}`, AES_ACTIVE_KEY_ID: 'k7' }))
+        .toThrow('AES_ACTIVE_KEY_ID "k7" is not in the keyring');
+    });
+
+    it('should reject keys with the wrong length', () => {
+      expect(() => loadWithKeys({ AES_KEYS: 'k1:short' }))
+        .toThrow('Encryption key "k1" must be exactly 32 characters long');
+    });
+
+    it('should reject duplicate key ids', () => {
+      expect(() => loadWithKeys({ AES_KEYS: `k1:${OLD_KEY},k1:${NEW_KEY}` }))
+        .toThrow('Encryption key id "k1" is configured twice');
+    });
+  });
+
+  describe('data keys', () => {
+    const dataKey = { id: 'a1b2c3d4', key: crypto.randomBytes(32) };
+
+    it('should encrypt with a data key into a v5 envelope', () => {
+      const encrypted = encryptionService.encrypt('Private chapter', dataKey);
+
+      expect(encrypted.startsWith('v5.a1b2c3d4.')).toBe(true);
+      expect(encryptionService.usesDataKey(encrypted)).toBe(true);
+      expect(encryptionService.isLegacy(encrypted)).toBe(false);
+      expect(encryptionService.decrypt(encrypted, dataKey)).toBe('Private chapter');
+    });
+
+    it('should not decrypt without the matching data key', () => {
+      const encrypted = encryptionService.encrypt('Private chapter', dataKey);
+      const replacement = { id: 'e5f6a7b8', key: crypto.randomBytes(32) };
+
+      expect(() => encryptionService.decrypt(encrypted)).toThrow('Data key "a1b2c3d4" is not available');
+      expect(() => encryptionService.decrypt(encrypted, replacement)).toThrow('Data key "a1b2c3d4" is not available');
+    });
+
+    it('should still decrypt keyring ciphertext when a data key is given', () => {
+      const encrypted = encryptionService.encrypt('Older chapter');
+
+      expect(encryptionService.decrypt(encrypted, dataKey)).toBe('Older chapter');
+    });
+
+    it('should move keyring ciphertext to a data key', () => {
+      const rotated = encryptionService.reencrypt(encryptionService.encrypt('Older chapter'), dataKey);
+
+      expect(encryptionService.getKeyId(rotated)).toBe('a1b2c3d4');
+      expect(encryptionService.decrypt(rotated, dataKey)).toBe('Older chapter');
+    });
+  });
+
+  describe('compression', () => {
+    const dataKey = { id: 'a1b2c3d4', key: crypto.randomBytes(32) };
+    const chapter = 'It was a dark and stormy night; the rain fell in torrents. '.repeat(200);
+
+    // Envelopes written before compression: the same layout without the codec byte
+    const uncompressedEncrypt = (text, version, keyId, key) => {
+      const nonce = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+      cipher.setAAD(Buffer.from(`${version}.${keyId}`));
+      const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+      return [version, keyId, nonce.toString('base64url'), cipher.getAuthTag().toString('base64url'), data.toString('base64url')].join('.');
+    };
+
+    it('should store long stories in less space than their plaintext', () => {
+      const encrypted = encryptionService.encrypt(chapter, dataKey);
+
+      expect(encrypted.length).toBeLessThan(Buffer.byteLength(chapter) / 4);
+      expect(encryptionService.decrypt(encrypted, dataKey)).toBe(chapter);
+    });
+
+    it('should round-trip short and non-ASCII text', () => {
+      for (const text of ['', 'a', 'Ünïcödé ✍️ chapter '.repeat(40)]) {
+        expect(encryptionService.decrypt(encryptionService.encrypt(text))).toBe(text);
+      }
+    });
+
+    it('should still read uncompressed v2 and v3 envelopes', () => {
+      const v2 = uncompressedEncrypt('Keyring chapter', 'v2', 'k1', Buffer.from(process.env.AES_SECRET_KEY));
+      const v3 = uncompressedEncrypt(chapter, 'v3', dataKey.id, dataKey.key);
+
+      expect(encryptionService.decrypt(v2)).toBe('Keyring chapter');
+      expect(encryptionService.needsReencryption(v2)).toBe(true);
+      expect(encryptionService.usesDataKey(v3)).toBe(true);
+      expect(encryptionService.decrypt(v3, dataKey)).toBe(chapter);
+    });
+
+    it('should reject an unknown compression codec', () => {
+      const nonce = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', dataKey.key, nonce);
+      cipher.setAAD(Buffer.from(`v5.${dataKey.id}`));
+      const data = Buffer.concat([cipher.update(Buffer.from([9, 65])), cipher.final()]);
+      const envelope = ['v5', dataKey.id, nonce.toString('base64url'), cipher.getAuthTag().toString('base64url'), data.toString('base64url')].join('.');
+
+      expect(() => encryptionService.decrypt(envelope, dataKey)).toThrow('Unsupported compression 9');
+    });
+
+    it('should report corrupt compressed data as malformed', () => {
+      const nonce = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', dataKey.key, nonce);
+      cipher.setAAD(Buffer.from(`v5.${dataKey.id}`));
+      const data = Buffer.concat([cipher.update(Buffer.from([1, 0xff, 0xff, 0xff])), cipher.final()]);
+      const envelope = ['v5', dataKey.id, nonce.toString('base64url'), cipher.getAuthTag().toString('base64url'), data.toString('base64url')].join('.');
+
+      let error;
+      try {
+        encryptionService.decrypt(envelope, dataKey);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toMatchObject({ name: 'DecryptionError', code: 'MALFORMED_CIPHERTEXT', keyId: dataKey.id });
+      expect(error.message).toMatch(/^Decryption failed: Corrupt compressed data/);
+    });
+  });
+
+  describe('decryption errors', () => {
+    const decryptError = (encryptedText, dataKey) => {
+      try {
+        encryptionService.decrypt(encryptedText, dataKey);
+      } catch (error) {
+        return error;
+      }
+      throw new Error('Expected decryption to fail');
+    };
+
+    it('should report a failed integrity check with the key id', () => {
+      const parts = encryptionService.encrypt('Do not touch').split('.');
+      parts[3] = Buffer.alloc(16).toString('base64url');
+
+      expect(decryptError(parts.join('.'))).toMatchObject({
+        name: 'DecryptionError',
+        code: 'INTEGRITY_CHECK_FAILED',
+        keyId: encryptionService.getActiveKeyId()
+      });
+    });
+
+    it('should report unknown keys and missing data keys', () => {
+      const parts = encryptionService.encrypt('Secret').split('.');
+      parts[1] = 'k9';
+
+      expect(decryptError(parts.join('.'))).toMatchObject({ code: 'UNKNOWN_KEY', keyId: 'k9' });
+      expect(decryptError(encryptionService.encrypt('Secret', { id: 'a1b2c3d4', key: crypto.randomBytes(32) })))
+        .toMatchObject({ code: 'DATA_KEY_UNAVAILABLE', keyId: 'a1b2c3d4' });
+    });
+
+    it('should report malformed envelopes', () => {
+      expect(decryptError('v2.k1.only-three-parts')).toMatchObject({ code: 'MALFORMED_CIPHERTEXT', keyId: null });
+    });
+  });
+
   describe('encrypt and decrypt cycle', () => {
     it('should maintain data integrity through encrypt-decrypt cycle', () => {
       const testCases = [
@@ -1,4 +1,10 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const jwtService = require('../../../services/jwt.service');
+const jwtKeyset = require('../../../services/jwtKeyset.service');
 
 describe('JWTService', () => {
   const originalEnv = process.env;
@@ -84,6 +90,99 @@ describe('JWTService', () => {
     });
   });
 
+  describe('challenge tokens', () => {
+    it('should generate and verify a 2FA challenge token', () => {
+      const userId = '507f1f77bcf86cd799439011';
+      const token = jwtService.generateChallengeToken(userId);
+      const decoded = jwtService.verifyChallengeToken(token);
+
+      expect(decoded.userId).toBe(userId);
+      expect(decoded.purpose).toBe('2fa');
+    });
+
+    it('should not accept a challenge token as an access token', () => {
+      const token = jwtService.generateChallengeToken('507f1f77bcf86cd799439011');
+
+      expect(() => {
+        jwtService.verifyToken(token);
+      }).toThrow('Invalid or expired token');
+    });
+
+    it('should not accept an access token as a challenge token', () => {
+      const token = jwtService.generateToken('507f1f77bcf86cd799439011');
+
+      expect(() => {
+        jwtService.verifyChallengeToken(token);
+      }).toThrow('Invalid or expired challenge token');
+    });
+  });
+
+  describe('asymmetric keyset', () => {
+    let dir;
+
+    const writeKey = (kid) => {
+      const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      fs.writeFileSync(path.join(dir, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+      process.env.JWT_KEYS_DIR = dir;
+      writeKey('2026-01');
+      writeKey('2026-02');
+      process.env.JWT_SIGNING_KEY_ID = '2026-01';
+      jwtKeyset.reload();
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      jwtKeyset.cache = null;
+    });
+
+    it('should sign with the active key and set the kid header', () => {
+      const token = jwtService.generateToken('507f1f77bcf86cd799439011');
+      const { header } = jwt.decode(token, { complete: true });
+
+      expect(header).toMatchObject({ alg: 'ES256', kid: '2026-01' });
+      expect(jwtService.verifyToken(token).userId).toBe('507f1f77bcf86cd799439011');
+    });
+
+    it('should keep verifying tokens of the previous key after rotation', () => {
+      const token = jwtService.generateToken('507f1f77bcf86cd799439011');
+
+      process.env.JWT_SIGNING_KEY_ID = '2026-02';
+      const rotated = jwtService.generateToken('507f1f77bcf86cd799439011');
+
+      expect(jwt.decode(rotated, { complete: true }).header.kid).toBe('2026-02');
+      expect(jwtService.verifyToken(token).userId).toBe('507f1f77bcf86cd799439011');
+    });
+
+    it('should reject tokens of removed keys', () => {
+      const token = jwtService.generateToken('507f1f77bcf86cd799439011');
+
+      fs.unlinkSync(path.join(dir, '2026-01.pem'));
+      process.env.JWT_SIGNING_KEY_ID = '2026-02';
+      jwtKeyset.reload();
+
+      expect(() => jwtService.verifyToken(token)).toThrow('Invalid or expired token');
+    });
+
+    it('should accept secret-signed tokens only while JWT_SECRET is set', () => {
+      const legacy = jwt.sign({ userId: '507f1f77bcf86cd799439011' }, process.env.JWT_SECRET);
+      expect(jwtService.verifyToken(legacy).userId).toBe('507f1f77bcf86cd799439011');
+
+      delete process.env.JWT_SECRET;
+      expect(() => jwtService.verifyToken(legacy)).toThrow('Invalid or expired token');
+    });
+
+    it('should not accept a token signed with the public key as an HMAC secret', () => {
+      const publicPem = jwtKeyset.getVerificationKey('2026-01').publicKey.export({ type: 'spki', format: 'pem' });
+      const forged = jwt.sign({ userId: 'attacker' }, publicPem, { algorithm: 'HS256', keyid: '2026-01' });
+
+      expect(() => jwtService.verifyToken(forged)).toThrow('Invalid or expired token');
+    });
+  });
+
   describe('extractTokenFromHeader', () => {
     it('should extract token from valid Authorization header', () => {
       const token = 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.test.signature';
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwtKeyset = require('../../../services/jwtKeyset.service');
+
+const writeKey = (dir, kid, type, options, { publicOnly = false } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+  const pem = publicOnly
+    ? publicKey.export({ type: 'spki', format: 'pem' })
+    : privateKey.export({ type: 'pkcs8', format: 'pem' });
+  fs.writeFileSync(path.join(dir, `${kid}.pem`), pem);
+};
+
+describe('JwtKeysetService', () => {
+  const originalEnv = process.env;
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+    process.env = { ...originalEnv, JWT_KEYS_DIR: dir };
+    delete process.env.JWT_SIGNING_KEY_ID;
+    jwtKeyset.cache = null;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    jwtKeyset.cache = null;
+  });
+
+  it('should detect the algorithm from the key type', () => {
+    writeKey(dir, 'rsa-1', 'rsa', { modulusLength: 2048 });
+    writeKey(dir, 'ec-1', 'ec', { namedCurve: 'P-256' });
+    process.env.JWT_SIGNING_KEY_ID = 'ec-1';
+
+    expect(jwtKeyset.getSigningKey().alg).toBe('ES256');
+    expect(jwtKeyset.getVerificationKey('rsa-1').alg).toBe('RS256');
+  });
+
+  it('should use the only private key when no signing key id is set', () => {
+    writeKey(dir, 'current', 'ec', { namedCurve: 'P-256' });
+    writeKey(dir, 'retired', 'ec', { namedCurve: 'P-256' }, { publicOnly: true });
+
+    expect(jwtKeyset.getSigningKey().kid).toBe('current');
+    expect(jwtKeyset.getVerificationKey('retired').privateKey).toBeNull();
+  });
+
+  it('should require a signing key id when several private keys exist', () => {
+    writeKey(dir, 'a', 'ec', { namedCurve: 'P-256' });
+    writeKey(dir, 'b', 'ec', { namedCurve: 'P-256' });
+
+    expect(() => jwtKeyset.load()).toThrow('JWT_SIGNING_KEY_ID must name a private key in JWT_KEYS_DIR');
+  });
+
+  it('should reject unsupported curves', () => {
+    writeKey(dir, 'p384', 'ec', { namedCurve: 'P-384' });
+
+    expect(() => jwtKeyset.load()).toThrow('Unsupported JWT key "p384"');
+  });
+
+  it('should publish public keys only', () => {
+    writeKey(dir, 'current', 'ec', { namedCurve: 'P-256' });
+
+    const { keys } = jwtKeyset.getJwks();
+
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toMatchObject({ kty: 'EC', crv: 'P-256', kid: 'current', alg: 'ES256', use: 'sig' });
+    expect(keys[0].d).toBeUndefined();
+  });
+
+  it('should publish no keys without a keyset', () => {
+    delete process.env.JWT_KEYS_DIR;
+
+    expect(jwtKeyset.getJwks()).toEqual({ keys: [] });
+  });
+});
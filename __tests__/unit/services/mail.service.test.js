@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mailService = require('../../../services/mail.service');
+const OutboxTransport = require('../../../services/transports/outbox.transport');
+
+describe('MailService', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new OutboxTransport(null);
+    mailService.setTransport(transport);
+  });
+
+  describe('send', () => {
+    it('should deliver messages through the configured transport', async () => {
+      await mailService.send({
+        to: 'writer@example.com',
+        subject: 'Hello',
+        text: 'Body'
+      });
+
+      expect(transport.messages).toHaveLength(1);
+      expect(transport.lastMessageTo('writer@example.com')).toEqual(expect.objectContaining({
+        subject: 'Hello',
+        text: 'Body',
+        from: expect.any(String)
+      }));
+    });
+
+    it('should accept any transport implementing send', async () => {
+      const customTransport = { send: jest.fn().mockResolvedValue({}) };
+      mailService.setTransport(customTransport);
+
+      await mailService.send({ to: 'writer@example.com', subject: 'Hi', text: 'There' });
+
+      expect(customTransport.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'writer@example.com',
+        subject: 'Hi'
+      }));
+    });
+  });
+
+  describe('sendPasswordReset', () => {
+    it('should include the reset link and token', async () => {
+      process.env.APP_URL = 'https://app.example.com/';
+
+      await mailService.sendPasswordReset({ email: 'writer@example.com' }, 'abc123');
+
+      const message = transport.lastMessageTo('writer@example.com');
+      expect(message.text).toContain('https://app.example.com/reset-password?token=abc123');
+      expect(message.text).toContain('abc123');
+
+      delete process.env.APP_URL;
+    });
+  });
+
+  describe('sendMagicLink', () => {
+    it('should include the sign-in link and token', async () => {
+      process.env.APP_URL = 'https://app.example.com';
+
+      await mailService.sendMagicLink({ email: 'writer@example.com' }, 'def456');
+
+      const message = transport.lastMessageTo('writer@example.com');
+      expect(message.subject).toBe('Your sign-in link');
+      expect(message.text).toContain('https://app.example.com/magic-link?token=def456');
+
+      delete process.env.APP_URL;
+    });
+  });
+
+  describe('OutboxTransport', () => {
+    it('should write messages to the outbox directory', async () => {
+      const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+      const fileTransport = new OutboxTransport(outboxDir);
+
+      await fileTransport.send({ to: 'writer@example.com', subject: 'Hi', text: 'There' });
+
+      const files = fs.readdirSync(outboxDir);
+      expect(files).toHaveLength(1);
+      const stored = JSON.parse(fs.readFileSync(path.join(outboxDir, files[0]), 'utf8'));
+      expect(stored.subject).toBe('Hi');
+
+      fs.rmSync(outboxDir, { recursive: true, force: true });
+    });
+
+    it('should not log the message body', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await transport.send({ to: 'writer@example.com', subject: 'Reset your password', text: 'token=abc123' });
+
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('Reset your password'));
+      expect(log).not.toHaveBeenCalledWith(expect.stringContaining('abc123'));
+      log.mockRestore();
+    });
+
+    it('should only keep sent messages in memory when asked to', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const quietTransport = new OutboxTransport(null, { keepMessages: false });
+
+      await quietTransport.send({ to: 'writer@example.com', subject: 'Hi', text: 'There' });
+
+      expect(quietTransport.messages).toHaveLength(0);
+      expect(quietTransport.lastMessageTo('writer@example.com')).toBeNull();
+      log.mockRestore();
+    });
+  });
+
+  describe('getTransport', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+      mailService.setTransport(null);
+    });
+
+    it('should require an explicit transport in production', () => {
+      mailService.setTransport(null);
+      process.env.NODE_ENV = 'production';
+      delete process.env.MAIL_TRANSPORT;
+
+      expect(() => mailService.getTransport()).toThrow('MAIL_TRANSPORT must be set in production');
+    });
+
+    it('should default to the outbox outside production', () => {
+      mailService.setTransport(null);
+      delete process.env.MAIL_TRANSPORT;
+
+      expect(mailService.getTransport()).toBeInstanceOf(OutboxTransport);
+    });
+  });
+});
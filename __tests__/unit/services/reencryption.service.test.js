@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const reencryptionService = require('../../../services/reencryption.service');
+const encryptionService = require('../../../services/encryption.service');
+const dataKeyService = require('../../../services/dataKey.service');
+const Book = require('../../../models/book.model');
+const Section = require('../../../models/section.model');
+const User = require('../../../models/user.model');
+const { createTestUser, createTestBook, createTestSection } = require('../../helpers/testHelpers');
+
+describe('ReencryptionService', () => {
+  // Ciphertext written before the switch to GCM never carries the active key id
+  const legacyEncrypt = (text) => {
+    const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(process.env.AES_SECRET_KEY), Buffer.from(process.env.AES_IV));
+    return cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+  };
+
+  // v3 envelope written before stories were compressed
+  const uncompressedEncrypt = (text, dataKey) => {
+    const nonce = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey.key, nonce);
+    cipher.setAAD(Buffer.from(`v3.${dataKey.id}`));
+    const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return ['v3', dataKey.id, nonce.toString('base64url'), cipher.getAuthTag().toString('base64url'), data.toString('base64url')].join('.');
+  };
+
+  let user;
+  let book;
+
+  beforeEach(async () => {
+    user = await createTestUser();
+    book = await createTestBook(user._id);
+  });
+
+  const sectionsResult = (results) => results.find(result => result.target === 'sections');
+
+  it('should move stories to the owner\'s data key', async () => {
+    const dataKey = await dataKeyService.getDataKey(user._id);
+    const legacy = await createTestSection(book._id, 'Old', legacyEncrypt('An old chapter'));
+    const keyring = await createTestSection(book._id, 'Keyring', encryptionService.encrypt('A keyring chapter'));
+    const current = await createTestSection(book._id, 'New', encryptionService.encrypt('A new chapter', dataKey));
+
+    const results = await reencryptionService.run();
+
+    expect(sectionsResult(results)).toEqual({ target: 'sections', total: 2, processed: 2, reencrypted: 2, failed: 0 });
+
+    for (const [section, story] of [[legacy, 'An old chapter'], [keyring, 'A keyring chapter']]) {
+      const migrated = await Section.findById(section._id);
+      expect(encryptionService.getKeyId(migrated.story)).toBe(dataKey.id);
+      expect(encryptionService.decrypt(migrated.story, dataKey)).toBe(story);
+    }
+    expect((await Section.findById(current._id)).story).toBe(current.story);
+  });
+
+  it('should compress uncompressed stories and record their plaintext size', async () => {
+    const dataKey = await dataKeyService.getDataKey(user._id);
+    const story = 'The tide came in. '.repeat(100);
+    const section = await createTestSection(book._id, 'Uncompressed', uncompressedEncrypt(story, dataKey));
+
+    const results = await reencryptionService.run();
+
+    expect(sectionsResult(results)).toMatchObject({ reencrypted: 1, failed: 0 });
+    const migrated = await Section.findById(section._id);
+    expect(migrated.story).toMatch(/^v5\./);
+    expect(migrated.story.length).toBeLessThan(section.story.length);
+    expect(encryptionService.decrypt(migrated.story, dataKey)).toBe(story);
+    expect(migrated.plaintextSize).toBe(Buffer.byteLength(story));
+  });
+
+  it('should keep account secrets on the active keyring key', async () => {
+    const secret = encryptionService.encrypt('JBSWY3DPEHPK3PXP');
+    await User.updateOne({ _id: user._id }, { twoFactorSecret: secret });
+
+    await reencryptionService.run();
+
+    expect((await User.findById(user._id)).twoFactorSecret).toBe(secret);
+  });
+
+  it('should encrypt titles and descriptions stored as plaintext', async () => {
+    await Book.collection.updateOne({ _id: book._id }, { $set: { title: 'Plain Title', description: 'Plain text' } });
+
+    const results = await reencryptionService.run();
+
+    expect(results.find(result => result.target === 'book titles')).toMatchObject({ reencrypted: 1, failed: 0 });
+    const raw = await Book.collection.findOne({ _id: book._id });
+    expect(encryptionService.decrypt(raw.title)).toBe('Plain Title');
+    expect(encryptionService.decrypt(raw.description)).toBe('Plain text');
+  });
+
+  it('should encrypt plaintext titles that start like an envelope', async () => {
+    await Book.collection.updateOne({ _id: book._id }, { $set: { title: 'v2. The Return' } });
+
+    const results = await reencryptionService.run();
+
+    expect(results.find(result => result.target === 'book titles')).toMatchObject({ reencrypted: 1, failed: 0 });
+    expect(encryptionService.decrypt((await Book.collection.findOne({ _id: book._id })).title)).toBe('v2. The Return');
+  });
+
+  it('should re-encrypt two-factor secrets', async () => {
+    await User.updateOne({ _id: user._id }, { twoFactorSecret: legacyEncrypt('JBSWY3DPEHPK3PXP') });
+
+    await reencryptionService.run();
+
+    const updated = await User.findById(user._id);
+    expect(encryptionService.getKeyId(updated.twoFactorSecret)).toBe(encryptionService.getActiveKeyId());
+    expect(encryptionService.decrypt(updated.twoFactorSecret)).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  it('should process records in batches and report progress', async () => {
+    for (let i = 0; i < 5; i++) {
+      await createTestSection(book._id, `Section ${i}`, legacyEncrypt(`Chapter ${i}`));
+    }
+    const onProgress = jest.fn();
+
+    await reencryptionService.run({ batchSize: 2, onProgress });
+
+    const sectionUpdates = onProgress.mock.calls.map(([progress]) => progress).filter(progress => progress.target === 'sections');
+    expect(sectionUpdates.map(progress => progress.processed)).toEqual([2, 4, 5]);
+    expect(await reencryptionService.countStale()).toMatchObject({ sections: 0 });
+  });
+
+  it('should leave records untouched in a dry run', async () => {
+    const legacy = legacyEncrypt('An old chapter');
+    const section = await createTestSection(book._id, 'Old', legacy);
+
+    const results = await reencryptionService.run({ dryRun: true });
+
+    expect(sectionsResult(results).reencrypted).toBe(1);
+    expect((await Section.findById(section._id)).story).toBe(legacy);
+  });
+
+  it('should count undecryptable records as failed and carry on', async () => {
+    const broken = await createTestSection(book._id, 'Broken', 'not-ciphertext');
+    await createTestSection(book._id, 'Old', legacyEncrypt('An old chapter'));
+
+    const results = await reencryptionService.run();
+
+    expect(sectionsResult(results)).toMatchObject({ total: 2, reencrypted: 1, failed: 1 });
+    expect((await Section.findById(broken._id)).story).toBe('not-ciphertext');
+  });
+
+  it('should skip sections without a story', async () => {
+    await createTestSection(book._id, 'Empty', '');
+
+    expect(await reencryptionService.countStale()).toMatchObject({ sections: 0 });
+  });
+});
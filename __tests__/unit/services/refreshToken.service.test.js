@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const refreshTokenService = require('../../../services/refreshToken.service');
+const RefreshToken = require('../../../models/refreshToken.model');
+const { hashToken } = require('../../../utils/tokens');
+
+describe('RefreshTokenService', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(async () => {
+    await RefreshToken.deleteMany({});
+  });
+
+  describe('issue', () => {
+    it('should store only the hash of the issued token', async () => {
+      const token = await refreshTokenService.issue(userId);
+
+      expect(typeof token).toBe('string');
+      expect(await RefreshToken.findOne({ tokenHash: token })).toBeNull();
+
+      const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+      expect(stored).toBeDefined();
+      expect(stored.user.toString()).toBe(userId.toString());
+      expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should start a new family for every issued token', async () => {
+      const token1 = await refreshTokenService.issue(userId);
+      const token2 = await refreshTokenService.issue(userId);
+
+      const stored1 = await RefreshToken.findOne({ tokenHash: hashToken(token1) });
+      const stored2 = await RefreshToken.findOne({ tokenHash: hashToken(token2) });
+      expect(stored1.family).not.toBe(stored2.family);
+    });
+  });
+
+  describe('rotate', () => {
+    it('should exchange a token for a new one in the same family', async () => {
+      const token = await refreshTokenService.issue(userId);
+      const rotated = await refreshTokenService.rotate(token);
+
+      expect(rotated.refreshToken).not.toBe(token);
+      expect(rotated.userId.toString()).toBe(userId.toString());
+
+      const previous = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+      const next = await RefreshToken.findOne({ tokenHash: hashToken(rotated.refreshToken) });
+      expect(previous.usedAt).toBeInstanceOf(Date);
+      expect(next.family).toBe(previous.family);
+    });
+
+    it('should reject unknown tokens', async () => {
+      await expect(refreshTokenService.rotate('unknown-token'))
+        .rejects.toThrow('Invalid refresh token');
+    });
+
+    it('should reject expired tokens', async () => {
+      const token = await refreshTokenService.issue(userId);
+      await RefreshToken.updateOne(
+        { tokenHash: hashToken(token) },
+        { expiresAt: new Date(Date.now() - 1000) }
+      );
+
+      await expect(refreshTokenService.rotate(token))
+        .rejects.toThrow('Refresh token expired');
+    });
+
+    it('should revoke the whole family when a used token is presented again', async () => {
+      const token = await refreshTokenService.issue(userId);
+      const rotated = await refreshTokenService.rotate(token);
+      await RefreshToken.updateOne(
+        { tokenHash: hashToken(token) },
+        { usedAt: new Date(Date.now() - 60 * 1000) }
+      );
+
+      await expect(refreshTokenService.rotate(token))
+        .rejects.toThrow('Refresh token has already been used');
+
+      // The legitimately rotated token is revoked as well
+      await expect(refreshTokenService.rotate(rotated.refreshToken))
+        .rejects.toThrow('Refresh token has been revoked');
+
+      const active = await RefreshToken.countDocuments({ revokedAt: null });
+      expect(active).toBe(0);
+    });
+
+    it('should return the same successor to a retry within the grace period', async () => {
+      const token = await refreshTokenService.issue(userId);
+      const rotated = await refreshTokenService.rotate(token);
+      const retried = await refreshTokenService.rotate(token);
+
+      expect(retried.refreshToken).toBe(rotated.refreshToken);
+      expect(await RefreshToken.countDocuments({ revokedAt: null })).toBe(2);
+    });
+
+    it('should issue a single successor for concurrent refreshes', async () => {
+      const token = await refreshTokenService.issue(userId);
+      const [first, second] = await Promise.all([
+        refreshTokenService.rotate(token),
+        refreshTokenService.rotate(token)
+      ]);
+
+      expect(second.refreshToken).toBe(first.refreshToken);
+      expect(await RefreshToken.countDocuments({ usedAt: null, revokedAt: null })).toBe(1);
+    });
+
+    it('should not treat revoked tokens as reuse', async () => {
+      const token = await refreshTokenService.issue(userId);
+      const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+      await refreshTokenService.revokeFamily(stored.family);
+
+      const error = await refreshTokenService.rotate(token).catch(err => err);
+
+      expect(error.message).toBe('Refresh token has been revoked');
+      expect(error.statusCode).toBe(401);
+      expect(error.code).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const sessionService = require('../../../services/session.service');
+const refreshTokenService = require('../../../services/refreshToken.service');
+const Session = require('../../../models/session.model');
+const RefreshToken = require('../../../models/refreshToken.model');
+const { mockRequest } = require('../../helpers/testHelpers');
+
+describe('SessionService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const chromeOnWindows = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+  describe('describeDevice', () => {
+    it('should describe browser and operating system', () => {
+      expect(sessionService.describeDevice(chromeOnWindows)).toBe('Chrome on Windows');
+    });
+
+    it('should fall back for unknown user agents', () => {
+      expect(sessionService.describeDevice('')).toBe('Unknown device');
+      expect(sessionService.describeDevice('curl/8.0')).toBe('Unknown device');
+    });
+  });
+
+  describe('create', () => {
+    it('should record user agent, device and IP', async () => {
+      const req = mockRequest({}, {}, {}, { 'User-Agent': chromeOnWindows });
+      const session = await sessionService.create(userId, req);
+
+      expect(session.user.toString()).toBe(userId.toString());
+      expect(session.userAgent).toBe(chromeOnWindows);
+      expect(session.device).toBe('Chrome on Windows');
+      expect(session.ip).toBe('127.0.0.1');
+      expect(session.isActive()).toBe(true);
+    });
+  });
+
+  describe('revoke', () => {
+    it('should revoke the session and its refresh tokens', async () => {
+      const session = await sessionService.create(userId, mockRequest());
+      const token = await refreshTokenService.issue(userId, session._id.toString());
+
+      await sessionService.revoke(session._id, userId);
+
+      expect(await sessionService.findActive(session._id, userId)).toBeNull();
+      await expect(refreshTokenService.rotate(token)).rejects.toThrow();
+    });
+
+    it('should not revoke sessions of other users', async () => {
+      const session = await sessionService.create(userId, mockRequest());
+      const result = await sessionService.revoke(session._id, new mongoose.Types.ObjectId());
+
+      expect(result).toBeNull();
+      expect(await sessionService.findActive(session._id, userId)).not.toBeNull();
+    });
+  });
+
+  describe('revokeAll', () => {
+    it('should revoke every session except the given one', async () => {
+      const current = await sessionService.create(userId, mockRequest());
+      await sessionService.create(userId, mockRequest());
+      await sessionService.create(userId, mockRequest());
+
+      const count = await sessionService.revokeAll(userId, { except: current._id });
+
+      expect(count).toBe(2);
+      const active = await sessionService.listActive(userId);
+      expect(active).toHaveLength(1);
+      expect(active[0]._id.toString()).toBe(current._id.toString());
+    });
+  });
+});
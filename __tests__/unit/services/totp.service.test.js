@@ -0,0 +1,80 @@
+const totpService = require('../../../services/totp.service');
+
+describe('TOTPService', () => {
+  // RFC 6238 appendix B uses the ASCII secret "12345678901234567890"
+  const rfcSecret = totpService.base32Encode(Buffer.from('12345678901234567890'));
+
+  afterEach(() => {
+    totpService.digits = 6;
+  });
+
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const buffer = Buffer.from('any carnal pleasure');
+      expect(totpService.base32Decode(totpService.base32Encode(buffer))).toEqual(buffer);
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => totpService.base32Decode('not-base32!')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generate', () => {
+    it('should match the RFC 6238 SHA1 test vectors', () => {
+      totpService.digits = 8;
+
+      expect(totpService.generate(rfcSecret, 59 * 1000)).toBe('94287082');
+      expect(totpService.generate(rfcSecret, 1111111109 * 1000)).toBe('07081804');
+      expect(totpService.generate(rfcSecret, 1234567890 * 1000)).toBe('89005924');
+      expect(totpService.generate(rfcSecret, 20000000000 * 1000)).toBe('65353130');
+    });
+  });
+
+  describe('verify', () => {
+    it('should accept the current code and return its time step', () => {
+      const secret = totpService.generateSecret();
+      const now = Date.now();
+
+      expect(totpService.verify(secret, totpService.generate(secret, now), now))
+        .toBe(totpService.getTimeStep(now));
+    });
+
+    it('should tolerate one step of clock drift', () => {
+      const secret = totpService.generateSecret();
+      const now = Date.now();
+      const previous = totpService.generate(secret, now - 30 * 1000);
+
+      expect(totpService.verify(secret, previous, now)).not.toBeNull();
+    });
+
+    it('should reject codes outside the window', () => {
+      const secret = totpService.generateSecret();
+      const now = Date.now();
+      const old = totpService.generate(secret, now - 5 * 60 * 1000);
+
+      expect(totpService.verify(secret, old, now)).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      const secret = totpService.generateSecret();
+
+      expect(totpService.verify(secret, '')).toBeNull();
+      expect(totpService.verify(secret, 'abcdef')).toBeNull();
+      expect(totpService.verify(secret, '1234567')).toBeNull();
+    });
+  });
+
+  describe('buildOtpAuthUri', () => {
+    it('should build an otpauth URI with issuer and account', () => {
+      const uri = totpService.buildOtpAuthUri({
+        secret: 'JBSWY3DPEHPK3PXP',
+        accountName: 'writer@example.com',
+        issuer: 'MyStory'
+      });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/MyStory%3Awriter%40example\.com\?/);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=MyStory');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const vaultService = require('../../../services/vault.service');
+const encryptionService = require('../../../services/encryption.service');
+
+describe('VaultService', () => {
+  const dataKey = { id: 'key-1', key: crypto.randomBytes(32) };
+
+  describe('createVault', () => {
+    it('should store the KDF settings and a key check, but not the key', async () => {
+      const { vault, key } = await vaultService.createVault('correct horse battery', dataKey);
+
+      expect(vault).toMatchObject({ kdf: 'scrypt', N: 32768, r: 8, p: 1 });
+      expect(Buffer.from(vault.salt, 'base64url')).toHaveLength(16);
+      expect(JSON.stringify(vault)).not.toContain(key.key.toString('base64url'));
+      expect(key.id).toBe(dataKey.id);
+      expect(key.key.equals(dataKey.key)).toBe(false);
+    });
+
+    it('should use a new salt for every vault', async () => {
+      const first = await vaultService.createVault('correct horse battery', dataKey);
+      const second = await vaultService.createVault('correct horse battery', dataKey);
+
+      expect(first.vault.salt).not.toBe(second.vault.salt);
+      expect(first.key.key.equals(second.key.key)).toBe(false);
+    });
+  });
+
+  describe('unlock', () => {
+    it('should derive the same key from the right passphrase', async () => {
+      const { vault, key } = await vaultService.createVault('correct horse battery', dataKey);
+      const story = encryptionService.encrypt('Dear diary', key);
+
+      const unlocked = await vaultService.unlock(vault, 'correct horse battery', dataKey);
+
+      expect(encryptionService.decrypt(story, unlocked)).toBe('Dear diary');
+    });
+
+    it('should return null for a wrong passphrase', async () => {
+      const { vault } = await vaultService.createVault('correct horse battery', dataKey);
+
+      expect(await vaultService.unlock(vault, 'incorrect horse battery', dataKey)).toBeNull();
+    });
+
+    it('should not open the vault with another data key', async () => {
+      const { vault } = await vaultService.createVault('correct horse battery', dataKey);
+      const otherKey = { id: 'key-1', key: crypto.randomBytes(32) };
+
+      expect(await vaultService.unlock(vault, 'correct horse battery', otherKey)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const logger = require('../../../utils/logger');
+
+describe('logger', () => {
+  const level = process.env.LOG_LEVEL;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (level === undefined) {
+      delete process.env.LOG_LEVEL;
+    } else {
+      process.env.LOG_LEVEL = level;
+    }
+    jest.restoreAllMocks();
+  });
+
+  it('should write errors with their details', () => {
+    process.env.LOG_LEVEL = 'error';
+
+    logger.error('Something failed', { code: 'E1' });
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('ERROR Something failed'), { code: 'E1' });
+  });
+
+  it('should drop messages above the configured level', () => {
+    process.env.LOG_LEVEL = 'error';
+
+    logger.info('Server started');
+
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  it('should default to the info level', () => {
+    delete process.env.LOG_LEVEL;
+
+    logger.info('Server started');
+    logger.debug('Details');
+
+    expect(console.log).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,42 @@
+const { parsePagination, paginationLinks } = require('../../../utils/pagination');
+
+describe('pagination', () => {
+  describe('parsePagination', () => {
+    it('should default and bound page and limit', () => {
+      expect(parsePagination({})).toEqual({ page: 1, limit: 20, skip: 0 });
+      expect(parsePagination({ page: '3', limit: '500' })).toEqual({ page: 3, limit: 100, skip: 200 });
+      expect(parsePagination({ page: '-1', limit: 'abc' })).toEqual({ page: 1, limit: 20, skip: 0 });
+    });
+  });
+
+  describe('paginationLinks', () => {
+    const req = {
+      originalUrl: '/api/books?sort=title&page=2',
+      query: { sort: 'title', page: '2', isPublished: undefined }
+    };
+
+    it('should link to neighbouring pages and keep other parameters', () => {
+      expect(paginationLinks(req, { page: 2, limit: 10, pages: 3 })).toEqual({
+        self: '/api/books?sort=title&page=2&limit=10',
+        first: '/api/books?sort=title&page=1&limit=10',
+        prev: '/api/books?sort=title&page=1&limit=10',
+        next: '/api/books?sort=title&page=3&limit=10',
+        last: '/api/books?sort=title&page=3&limit=10'
+      });
+    });
+
+    it('should point past the last page back to it', () => {
+      const links = paginationLinks(req, { page: 7, limit: 10, pages: 3 });
+
+      expect(links.prev).toBe('/api/books?sort=title&page=3&limit=10');
+      expect(links.next).toBeNull();
+    });
+
+    it('should link to the first page when there are no results', () => {
+      const links = paginationLinks(req, { page: 1, limit: 10, pages: 0 });
+
+      expect(links.last).toBe('/api/books?sort=title&page=1&limit=10');
+      expect(links.next).toBeNull();
+    });
+  });
+});
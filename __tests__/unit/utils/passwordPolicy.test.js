@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { getPolicy, isBreached, validatePassword } = require('../../../utils/passwordPolicy');
+
+describe('Password policy', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('validatePassword', () => {
+    it('should accept a strong password', () => {
+      expect(validatePassword('TestPass123')).toEqual([]);
+    });
+
+    it('should enforce the minimum length', () => {
+      expect(validatePassword('Ab1')).toEqual(['Password must be at least 8 characters long']);
+
+      process.env.PASSWORD_MIN_LENGTH = '12';
+      expect(validatePassword('TestPass123')).toEqual(['Password must be at least 12 characters long']);
+    });
+
+    it('should cap the length at what bcrypt uses', () => {
+      process.env.PASSWORD_MAX_LENGTH = '500';
+
+      expect(getPolicy().maxLength).toBe(72);
+      expect(validatePassword(`Aa1${'x'.repeat(80)}`)).toContain('Password cannot exceed 72 bytes');
+    });
+
+    it('should require upper and lower case letters and a digit', () => {
+      expect(validatePassword('alllowercase1')).toHaveLength(1);
+
+      process.env.PASSWORD_REQUIRE_CHARACTER_CLASSES = 'false';
+      expect(validatePassword('alllowercase1')).toEqual([]);
+    });
+
+    it('should reject passwords containing the email address', () => {
+      expect(validatePassword('Writer2024!', { email: 'writer@example.com' }))
+        .toEqual(['Password cannot contain your email address']);
+      expect(validatePassword('Writer2024!', { email: 'someone@example.com' })).toEqual([]);
+    });
+
+    it('should reject passwords from the bundled breached list', () => {
+      expect(validatePassword('Password123'))
+        .toEqual(['This password has appeared in a data breach, please choose a different one']);
+    });
+  });
+
+  describe('isBreached', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'breached-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should look up SHA-1 hashes from the configured file', () => {
+      const file = path.join(dir, 'list.txt');
+      const hash = crypto.createHash('sha1').update('Correct7Horse').digest('hex').toUpperCase();
+      fs.writeFileSync(file, `# comment\n${hash}:42\n`);
+      process.env.BREACHED_PASSWORDS_FILE = file;
+
+      expect(isBreached('Correct7Horse')).toBe(true);
+      expect(isBreached('TestPass123')).toBe(false);
+    });
+
+    it('should skip the check when disabled', () => {
+      process.env.BREACHED_PASSWORDS_FILE = '';
+
+      expect(isBreached('Password123')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const User = require('../models/user.model');
+const Book = require('../models/book.model');
+const Section = require('../models/section.model');
+const Session = require('../models/session.model');
+const RefreshToken = require('../models/refreshToken.model');
+const PersonalAccessToken = require('../models/personalAccessToken.model');
+const sessionService = require('../services/session.service');
+const personalAccessTokenService = require('../services/personalAccessToken.service');
+const mailService = require('../services/mail.service');
+const auditLogService = require('../services/auditLog.service');
+const dataKeyService = require('../services/dataKey.service');
+
+// @desc    Change password
+// @route   PUT /api/auth/password
+// @access  Private
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out everywhere, revoke access tokens and start a fresh session for this device
+    await sessionService.revokeAll(user._id);
+    await personalAccessTokenService.revokeAllForUser(user._id);
+    await auditLogService.record('password.changed', req, { user });
+    const { token, refreshToken } = await sessionService.issueTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change email; the new address must be verified before it takes effect
+// @route   PUT /api/auth/email
+// @access  Private
+const changeEmail = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const reauthenticationError = await sessionService.reauthenticationError(user, {
+      password,
+      sessionId: req.auth.sessionId
+    });
+    if (reauthenticationError) {
+      return res.status(401).json({
+        success: false,
+        message: reauthenticationError
+      });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email must be different from the current email'
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    user.pendingEmail = email;
+    const token = user.createEmailVerificationToken();
+    await user.save();
+    await mailService.sendEmailVerification(user, token);
+    await auditLogService.record('email.change_requested', req, {
+      user,
+      metadata: { newEmail: email }
+    });
+
+    res.json({
+      success: true,
+      message: 'Verification email sent to the new address',
+      data: {
+        user: user.toJSON()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete account with all books and sections
+// @route   DELETE /api/auth/me
+// @access  Private
+const deleteAccount = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const reauthenticationError = await sessionService.reauthenticationError(user, {
+      password,
+      sessionId: req.auth.sessionId
+    });
+    if (reauthenticationError) {
+      return res.status(401).json({
+        success: false,
+        message: reauthenticationError
+      });
+    }
+
+    // Shred the data key first, so the stories stay unreadable even if deleting them fails halfway
+    await dataKeyService.shred(user._id);
+
+    // Delete all sections of the user's books, then the books
+    const bookIds = await Book.find({ user: user._id }).distinct('_id');
+    await Section.deleteMany({ book: { $in: bookIds } });
+    await Book.deleteMany({ user: user._id });
+
+    await Session.deleteMany({ user: user._id });
+    await RefreshToken.deleteMany({ user: user._id });
+    await PersonalAccessToken.deleteMany({ user: user._id });
+
+    await User.findByIdAndDelete(user._id);
+
+    // The audit trail outlives the account until the retention period expires
+    await auditLogService.record('account.deleted', req, { user });
+
+    res.json({
+      success: true,
+      message: 'Account and all its books deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete account',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  changePassword,
+  changeEmail,
+  deleteAccount
+};
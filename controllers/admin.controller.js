@@ -0,0 +1,347 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Book = require('../models/book.model');
+const Section = require('../models/section.model');
+const AuthEvent = require('../models/authEvent.model');
+const sessionService = require('../services/session.service');
+const personalAccessTokenService = require('../services/personalAccessToken.service');
+const auditLogService = require('../services/auditLog.service');
+const integrityService = require('../services/integrity.service');
+const { parsePagination } = require('../utils/pagination');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Book and section counts keyed by user id
+const getContentCounts = async (userIds) => {
+  const books = await Book.find({ user: { $in: userIds } }).select('_id user');
+  const sectionCounts = await Section.aggregate([
+    { $match: { book: { $in: books.map(book => book._id) } } },
+    { $group: { _id: '$book', count: { $sum: 1 } } }
+  ]);
+
+  const sectionsByBook = new Map(sectionCounts.map(entry => [entry._id.toString(), entry.count]));
+  const counts = new Map(userIds.map(id => [id.toString(), { books: 0, sections: 0 }]));
+
+  for (const book of books) {
+    const entry = counts.get(book.user.toString());
+    entry.books += 1;
+    entry.sections += sectionsByBook.get(book._id.toString()) || 0;
+  }
+
+  return counts;
+};
+
+const formatUser = (user, counts) => ({
+  ...user.toAdminJSON(),
+  counts: counts.get(user._id.toString())
+});
+
+const findTargetUser = async (req, res) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Record an admin action against the target user, noting who performed it
+const recordAdminAction = (type, req, user, metadata = {}) => auditLogService.record(type, req, {
+  user,
+  metadata: { ...metadata, actor: req.user._id.toString() }
+});
+
+const sendEvents = (res, { events, total }, { page, limit }) => {
+  res.json({
+    success: true,
+    count: events.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: events
+  });
+};
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Admin, Support
+const getUsers = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const { search, role, status } = req.query;
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(String(search)), 'i');
+      filter.$or = [{ email: pattern }, { 'profile.displayName': pattern }];
+    }
+    if (role) filter.role = String(role);
+    if (status === 'disabled') filter.disabledAt = { $ne: null };
+    if (status === 'active') filter.disabledAt = null;
+
+    const total = await User.countDocuments(filter);
+    const users = await User.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const counts = await getContentCounts(users.map(user => user._id));
+
+    res.json({
+      success: true,
+      count: users.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: users.map(user => formatUser(user, counts))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a single user with book and section counts
+// @route   GET /api/admin/users/:userId
+// @access  Admin, Support
+const getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const counts = await getContentCounts([user._id]);
+
+    res.json({
+      success: true,
+      data: formatUser(user, counts)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Disable an account and sign it out everywhere
+// @route   POST /api/admin/users/:userId/disable
+// @access  Admin
+const disableUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot disable your own account'
+      });
+    }
+
+    user.disabledAt = new Date();
+    user.disabledReason = req.body.reason || null;
+    await user.save();
+
+    await sessionService.revokeAll(user._id);
+    await personalAccessTokenService.revokeAllForUser(user._id);
+    await recordAdminAction('account.disabled', req, user, { reason: user.disabledReason });
+
+    res.json({
+      success: true,
+      message: 'User disabled successfully',
+      data: user.toAdminJSON()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Re-enable a disabled account
+// @route   POST /api/admin/users/:userId/enable
+// @access  Admin
+const enableUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.disabledAt = null;
+    user.disabledReason = null;
+    await user.save();
+    await recordAdminAction('account.enabled', req, user);
+
+    res.json({
+      success: true,
+      message: 'User enabled successfully',
+      data: user.toAdminJSON()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Clear failed login attempts and lift a lockout
+// @route   POST /api/admin/users/:userId/unlock
+// @access  Admin, Support
+const unlockUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.resetLoginAttempts();
+    await user.save();
+    await recordAdminAction('account.unlocked', req, user, { method: 'admin' });
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: user.toAdminJSON()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:userId/role
+// @access  Admin
+const updateUserRole = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = req.body.role;
+    await user.save();
+    await recordAdminAction('role.changed', req, user, { from: previousRole, to: user.role });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user.toAdminJSON()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a user's authentication history
+// @route   GET /api/admin/users/:userId/activity
+// @access  Admin, Support
+const getUserActivity = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const pagination = parsePagination(req.query);
+    const result = await auditLogService.list({ user: user._id }, pagination);
+
+    sendEvents(res, result, pagination);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user activity',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Search authentication events across all users
+// @route   GET /api/admin/auth-events
+// @access  Admin, Support
+const getAuthEvents = async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const { type, success, email, ip } = req.query;
+
+    const filter = {};
+    if (type && AuthEvent.EVENT_TYPES.includes(type)) filter.type = type;
+    if (success === 'true' || success === 'false') filter.success = success === 'true';
+    if (email) filter.email = String(email).toLowerCase();
+    if (ip) filter.ip = String(ip);
+
+    const result = await auditLogService.list(filter, pagination);
+
+    sendEvents(res, result, pagination);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch auth events',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List sections whose story or title cannot be decrypted
+// @route   GET /api/admin/integrity/sections
+// @access  Admin
+const scanSectionIntegrity = async (req, res) => {
+  try {
+    const { scanned, failures } = await integrityService.scanSections();
+
+    res.json({
+      success: true,
+      scanned,
+      count: failures.length,
+      data: failures
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to scan sections',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUser,
+  getUserActivity,
+  getAuthEvents,
+  disableUser,
+  enableUser,
+  unlockUser,
+  updateUserRole,
+  scanSectionIntegrity
+};
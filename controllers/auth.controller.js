@@ -1,5 +1,111 @@
 const User = require('../models/user.model');
 const jwtService = require('../services/jwt.service');
+const refreshTokenService = require('../services/refreshToken.service');
+const sessionService = require('../services/session.service');
+const mailService = require('../services/mail.service');
+const twoFactorService = require('../services/twoFactor.service');
+const personalAccessTokenService = require('../services/personalAccessToken.service');
+const oidcService = require('../services/oidc.service');
+const auditLogService = require('../services/auditLog.service');
+const { hashToken } = require('../utils/tokens');
+const { validatePassword } = require('../utils/passwordPolicy');
+
+// Refuse login attempts while the account is locked or backing off after failures
+const rejectIfThrottled = (user, res) => {
+  const retryAfter = user.getLoginRetryAfter();
+  if (retryAfter === 0) {
+    return false;
+  }
+
+  res.set('Retry-After', String(retryAfter));
+  if (user.isLocked()) {
+    res.status(423).json({
+      success: false,
+      message: 'Account is temporarily locked due to too many failed login attempts',
+      retryAfter
+    });
+  } else {
+    res.status(429).json({
+      success: false,
+      message: 'Too many failed login attempts, please try again later',
+      retryAfter
+    });
+  }
+  return true;
+};
+
+const rejectIfDisabled = (user, res) => {
+  if (!user.isDisabled()) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Account has been disabled'
+  });
+  return true;
+};
+
+// Count a failed attempt and email an unlock link when it locks the account
+const handleFailedLogin = async (user, req, reason) => {
+  const { user: updatedUser, locked } = await User.recordFailedLogin(user._id);
+  await auditLogService.record('login.failure', req, {
+    user,
+    success: false,
+    metadata: { reason, failedAttempts: updatedUser.failedLoginAttempts }
+  });
+
+  if (locked) {
+    await auditLogService.record('login.locked', req, {
+      user,
+      success: false,
+      metadata: { lockUntil: updatedUser.lockUntil }
+    });
+
+    const token = updatedUser.createUnlockToken();
+    await updatedUser.save();
+    await mailService.sendAccountUnlock(updatedUser, token);
+  }
+};
+
+// Clear failed attempts once a login fully succeeds
+const handleSuccessfulLogin = async (user) => {
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    user.resetLoginAttempts();
+    await user.save();
+  }
+};
+
+// Issue tokens, or a 2FA challenge when a second factor is still required.
+// Attempts are only reset once the second factor has been checked too.
+const completeLogin = async (user, req, res, metadata) => {
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: jwtService.generateChallengeToken(user._id)
+      }
+    });
+  }
+
+  await handleSuccessfulLogin(user);
+  await auditLogService.record('login.success', req, { user, metadata });
+
+  // Generate access and refresh tokens
+  const { token, refreshToken } = await sessionService.issueTokens(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: user.toJSON(),
+      token,
+      refreshToken
+    }
+  });
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -22,18 +128,30 @@ const register = async (req, res) => {
       email,
       password
     });
+    const verificationToken = user.createEmailVerificationToken();
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwtService.generateToken(user._id);
+    // A failed email should not fail registration; the user can request a new one
+    let verificationEmailSent = true;
+    try {
+      await mailService.sendEmailVerification(user, verificationToken);
+    } catch (error) {
+      verificationEmailSent = false;
+    }
+
+    await auditLogService.record('register', req, { user, metadata: { verificationEmailSent } });
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await sessionService.issueTokens(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user: user.toJSON(),
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -55,30 +173,266 @@ const login = async (req, res) => {
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await auditLogService.record('login.failure', req, {
+        email,
+        success: false,
+        metadata: { reason: 'unknown_email' }
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    if (rejectIfThrottled(user, res)) {
+      return;
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await handleFailedLogin(user, req, 'invalid_password');
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate JWT token
-    const token = jwtService.generateToken(user._id);
+    // Only reveal that an account is disabled after a correct password
+    if (rejectIfDisabled(user, res)) {
+      return;
+    }
+
+    // With 2FA enabled, the password only earns a short-lived challenge token
+    await completeLogin(user, req, res, { method: 'password' });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Email a single-use sign-in link
+// @route   POST /api/auth/magic-link
+// @access  Public
+const requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user && !user.isDisabled()) {
+      const token = user.createMagicLinkToken();
+      await user.save();
+      await mailService.sendMagicLink(user, token);
+      await auditLogService.record('magic_link.requested', req, { user });
+    }
+
+    // Same response whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a sign-in link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send sign-in link',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log in with an emailed sign-in token
+// @route   POST /api/auth/magic-link/consume
+// @access  Public
+const consumeMagicLink = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = await User.claimOneTimeToken('magicLinkTokenHash', 'magicLinkExpires', token);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired sign-in link'
+      });
+    }
+
+    if (rejectIfDisabled(user, res)) {
+      return;
+    }
+
+    // Proving access to the mailbox verifies it and lifts any lockout, as a password reset does
+    user.emailVerified = true;
+    user.resetLoginAttempts();
+    await user.save();
+
+    await completeLogin(user, req, res, { method: 'magic_link' });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start logging in with an OpenID Connect provider
+// @route   POST /api/auth/oidc/:provider/authorize
+// @access  Public
+const startOidcLogin = async (req, res) => {
+  try {
+    const provider = oidcService.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown identity provider'
+      });
+    }
+
+    const { authorizationUrl, state } = await oidcService.createAuthorization(provider);
+
+    res.json({
+      success: true,
+      data: {
+        authorizationUrl,
+        state
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to start provider login',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log in with the code returned by an OpenID Connect provider
+// @route   POST /api/auth/oidc/:provider/callback
+// @access  Public
+const completeOidcLogin = async (req, res) => {
+  try {
+    const provider = oidcService.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown identity provider'
+      });
+    }
+
+    const { code, state } = req.body;
+    let claims;
+    try {
+      claims = await oidcService.completeAuthorization(provider, { code, state });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    let user = await User.findOne({
+      identities: { $elemMatch: { provider: provider.name, subject: claims.sub } }
+    });
+
+    // First login with this provider account creates a passwordless user
+    if (!user) {
+      if (!claims.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'The identity provider did not share an email address'
+        });
+      }
+
+      // Never take over an existing account by email; its owner has to link the provider
+      const email = claims.email.toLowerCase();
+      if (await User.exists({ email })) {
+        return res.status(409).json({
+          success: false,
+          message: 'An account with this email already exists. Log in and link this provider from your account.'
+        });
+      }
+
+      user = new User({
+        email,
+        emailVerified: claims.email_verified === true,
+        profile: { displayName: (claims.name || '').substring(0, 80) },
+        identities: [{ provider: provider.name, subject: claims.sub, email }]
+      });
+      await user.save();
+      await auditLogService.record('register', req, { user, metadata: { provider: provider.name } });
+    }
+
+    if (rejectIfDisabled(user, res)) {
+      return;
+    }
+
+    await completeLogin(user, req, res, { method: 'oidc', provider: provider.name });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwtService.verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    if (rejectIfDisabled(user, res) || rejectIfThrottled(user, res)) {
+      return;
+    }
+
+    if (!twoFactorService.verify(user, { code, recoveryCode })) {
+      await handleFailedLogin(user, req, 'invalid_two_factor_code');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    // Persist the consumed recovery code or last used TOTP step
+    user.resetLoginAttempts();
+    await user.save();
+    await auditLogService.record('login.success', req, {
+      user,
+      metadata: { method: recoveryCode ? 'recovery_code' : 'totp' }
+    });
+
+    const { token, refreshToken } = await sessionService.issueTokens(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         user: user.toJSON(),
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -90,6 +444,275 @@ const login = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    // Rotate the refresh token; reuse revokes the whole family
+    const rotated = await refreshTokenService.rotate(refreshToken);
+
+    const user = await User.findById(rotated.userId);
+    if (!user) {
+      await refreshTokenService.revokeFamily(rotated.family);
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isDisabled()) {
+      await refreshTokenService.revokeFamily(rotated.family);
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been disabled'
+      });
+    }
+
+    // The token family is the session it was issued for
+    const session = await sessionService.findActive(rotated.family, user._id);
+    if (!session) {
+      await refreshTokenService.revokeFamily(rotated.family);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked'
+      });
+    }
+    await sessionService.touch(session, { extend: true });
+
+    const token = jwtService.generateToken(user._id, session._id);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token,
+        refreshToken: rotated.refreshToken
+      }
+    });
+  } catch (error) {
+    if (error.code === 'REFRESH_TOKEN_REUSED') {
+      await auditLogService.record('refresh_token.reused', req, {
+        user: error.userId,
+        success: false,
+        metadata: { sessionId: error.family }
+      });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Token refresh failed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      await mailService.sendPasswordReset(user, token);
+      await auditLogService.record('password.reset_requested', req, { user });
+    }
+
+    // Same response whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send password reset email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // The validators cannot know whose password this is, so check it against the
+    // account's email here, before the token is used up
+    const candidate = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('email');
+    const [passwordError] = candidate ? validatePassword(password, { email: candidate.email }) : [];
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ type: 'field', path: 'password', location: 'body', msg: passwordError }]
+      });
+    }
+
+    const user = await User.claimOneTimeToken('passwordResetTokenHash', 'passwordResetExpires', token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Proving access to the mailbox also lifts any lockout
+    user.password = password;
+    user.resetLoginAttempts();
+    await user.save();
+
+    // Sign out everywhere and revoke access tokens in case the account was compromised
+    await sessionService.revokeAll(user._id);
+    await personalAccessTokenService.revokeAllForUser(user._id);
+    await auditLogService.record('password.reset', req, { user });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Password reset failed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const user = await User.claimOneTimeToken('emailVerificationTokenHash', 'emailVerificationExpires', token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    // Confirming a pending address completes an email change
+    if (user.pendingEmail) {
+      const emailTaken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+      if (emailTaken) {
+        user.pendingEmail = null;
+        await user.save();
+        return res.status(400).json({
+          success: false,
+          message: 'User with this email already exists'
+        });
+      }
+      user.email = user.pendingEmail;
+      user.pendingEmail = null;
+    }
+
+    user.emailVerified = true;
+    await user.save();
+    await auditLogService.record('email.verified', req, { user });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: user.toJSON()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Email verification failed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified && !user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const token = user.createEmailVerificationToken();
+    await user.save();
+    await mailService.sendEmailVerification(user, token);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Unlock an account locked after failed logins
+// @route   GET /api/auth/unlock/:token
+// @access  Public
+const unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const user = await User.claimOneTimeToken('unlockTokenHash', 'unlockTokenExpires', token, {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockUntil: null
+    });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock token'
+      });
+    }
+
+    await auditLogService.record('account.unlocked', req, { user, metadata: { method: 'email' } });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -113,5 +736,16 @@ const getCurrentUser = async (req, res) => {
 module.exports = {
   register,
   login,
+  requestMagicLink,
+  consumeMagicLink,
+  startOidcLogin,
+  completeOidcLogin,
+  verifyTwoFactorLogin,
+  refresh,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  unlockAccount,
   getCurrentUser
 }; 
\ No newline at end of file
@@ -1,19 +1,242 @@
 const Book = require('../models/book.model');
 const Section = require('../models/section.model');
 const encryptionService = require('../services/encryption.service');
+const dataKeyService = require('../services/dataKey.service');
+const blindIndexService = require('../services/blindIndex.service');
+const vaultService = require('../services/vault.service');
+const { parsePagination, paginationLinks } = require('../utils/pagination');
+
+// Request header carrying the passphrase of a vault section
+const VAULT_HEADER = 'X-Vault-Passphrase';
+
+// Books show the assigned pen name instead of the account, falling back to the display name
+const resolveAuthorName = (book, user) => {
+  const profile = (user && user.profile) || {};
+  const penNames = profile.penNames || [];
+  const penName = book.penName && penNames.find(entry => entry._id.toString() === book.penName.toString());
+
+  if (penName) return penName.name;
+  return profile.displayName || 'Anonymous';
+};
+
+// Word counts and story sizes in bytes, as written and as stored, totalled per book id
+const getBookStats = async (bookIds) => {
+  const totals = await Section.aggregate([
+    { $match: { book: { $in: bookIds } } },
+    {
+      $group: {
+        _id: '$book',
+        wordCount: { $sum: '$wordCount' },
+        plaintextSize: { $sum: '$plaintextSize' },
+        storedSize: { $sum: { $strLenBytes: { $ifNull: ['$clientEncrypted.payload', { $ifNull: ['$story', ''] }] } } }
+      }
+    }
+  ]);
+
+  return new Map(totals.map(({ _id, ...stats }) => [_id.toString(), stats]));
+};
+
+const EMPTY_BOOK_STATS = { wordCount: 0, plaintextSize: 0, storedSize: 0 };
+
+const formatBook = (book, user, bookStats = new Map()) => {
+  const stats = bookStats.get(book._id.toString()) || EMPTY_BOOK_STATS;
+
+  return {
+    ...book.toObject(),
+    authorName: resolveAuthorName(book, user),
+    unavailableFeatures: book.unavailableFeatures(),
+    // The server never sees the plaintext of client-encrypted stories
+    wordCount: book.isClientEncrypted() ? null : stats.wordCount,
+    plaintextSize: book.isClientEncrypted() ? null : stats.plaintextSize,
+    storedSize: stats.storedSize
+  };
+};
+
+// Sorts the database can do itself: titles are encrypted and word counts live on the sections
+const QUERYABLE_SORT_FIELDS = ['createdAt', 'updatedAt'];
+
+// "title" or "-title" to a field and direction, newest first by default
+const parseBookSort = (sort) => {
+  const field = String(sort || '').replace(/^-/, '');
+  if (!Book.SORT_FIELDS.includes(field)) {
+    return { field: 'createdAt', direction: -1 };
+  }
+  return { field, direction: String(sort).startsWith('-') ? -1 : 1 };
+};
+
+// Filters on fields stored in clear; date bounds are inclusive
+const bookListFilter = (userId, query) => {
+  const filter = { user: userId };
+
+  if (query.isPublished !== undefined) {
+    filter.isPublished = String(query.isPublished) === 'true';
+  }
+
+  const ranges = [['createdAt', 'createdAfter', 'createdBefore'], ['updatedAt', 'updatedAfter', 'updatedBefore']];
+  for (const [field, after, before] of ranges) {
+    if (query[after]) filter[field] = { ...filter[field], $gte: new Date(query[after]) };
+    if (query[before]) filter[field] = { ...filter[field], $lte: new Date(query[before]) };
+  }
+
+  return filter;
+};
+
+const compareBooks = (field, direction, bookStats) => {
+  const value = (book) => field === 'wordCount'
+    ? (bookStats.get(book._id.toString()) || EMPTY_BOOK_STATS).wordCount
+    : book[field];
+
+  return (a, b) => {
+    const order = field === 'title'
+      ? a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true })
+      : value(a) - value(b);
+    return (order || a._id.toString().localeCompare(b._id.toString())) * direction;
+  };
+};
+
+// Client-encrypted stories are never decrypted here, so no data key is needed
+const getStoryKey = (req, book) => {
+  return book.isClientEncrypted() ? null : dataKeyService.getDataKey(req.user._id);
+};
+
+// Decrypt a stored story. One that cannot be decrypted is reported as corrupt, with the
+// reason, rather than replaced by text an editor could save back over the ciphertext.
+const readStory = (section, dataKey) => {
+  if (!section.story) {
+    return { story: '', storyStatus: 'ok' };
+  }
+
+  try {
+    return { story: encryptionService.decrypt(section.story, dataKey), storyStatus: 'ok' };
+  } catch (error) {
+    return {
+      story: null,
+      storyStatus: 'corrupt',
+      storyError: {
+        code: error.code || 'DECRYPTION_FAILED',
+        keyId: error.keyId || null,
+        message: error.message
+      }
+    };
+  }
+};
+
+// Section with its story decrypted with storyKey (the owner's data key, or the key of an
+// unlocked vault), or the client's payload as stored. A vault without its key stays locked.
+const formatSection = (section, book, storyKey) => {
+  const { vault, ...sectionObj } = section.toObject();
+  const formatted = { ...sectionObj, vault: Boolean(vault), storedSize: section.storedSize() };
+  if (book.isClientEncrypted()) {
+    return { ...formatted, story: null, storyStatus: 'client-encrypted' };
+  }
+  if (vault && !storyKey) {
+    return { ...formatted, story: null, storyStatus: 'locked' };
+  }
+
+  const result = readStory(section, storyKey);
+  if (result.storyStatus === 'ok') {
+    result.plaintextSize = Buffer.byteLength(result.story);
+    if (vault) result.wordCount = Section.countWords(result.story);
+  }
+  return { ...formatted, ...result };
+};
+
+// Section just written, with the story as sent rather than decrypted again
+const formatWrittenSection = (section, story) => {
+  const { vault, searchIndex, ...sectionObj } = section.toObject();
+  return {
+    ...sectionObj,
+    vault: Boolean(vault),
+    story,
+    storyStatus: 'ok',
+    wordCount: Section.countWords(story),
+    plaintextSize: Buffer.byteLength(story),
+    storedSize: section.storedSize()
+  };
+};
+
+// Encrypt a story with the owner's data key, or with the vault key for vault sections.
+// Nothing derived from a vault story is stored outside the vault.
+const writeStory = (section, story, dataKey, vaultKey = null) => {
+  section.setEncryptedStory(encryptionService.encrypt(story, vaultKey || dataKey), vaultKey ? null : story);
+  section.searchIndex = vaultKey ? [] : blindIndexService.buildIndex(story, dataKey);
+};
+
+// Client-encrypted books only accept encrypted payloads, other books only plaintext stories
+const storyInputError = (book, { story, clientEncrypted, vaultPassphrase }) => {
+  if (book.isClientEncrypted() && story !== undefined) {
+    return 'This book is encrypted on the client, send clientEncrypted instead of story';
+  }
+  if (book.isClientEncrypted() && vaultPassphrase !== undefined) {
+    return 'Vault sections are not available for client-encrypted books';
+  }
+  if (vaultPassphrase !== undefined && story === undefined) {
+    return 'The story must be sent together with vaultPassphrase';
+  }
+  if (!book.isClientEncrypted() && clientEncrypted !== undefined) {
+    return 'This book is encrypted on the server, send story instead of clientEncrypted';
+  }
+  return null;
+};
+
+const toClientEncrypted = ({ payload, algorithm, salt, keyCheck }) => ({
+  payload,
+  algorithm,
+  salt: salt || null,
+  keyCheck: keyCheck || null
+});
+
+// Pen names must belong to the book's owner
+const ownsPenName = (user, penNameId) => {
+  const penNames = (user.profile && user.profile.penNames) || [];
+  return penNames.some(entry => entry._id.toString() === String(penNameId));
+};
+
+// Publishing can be restricted to accounts with a verified email address
+const publishingRequiresVerifiedEmail = () => {
+  return process.env.REQUIRE_VERIFIED_EMAIL_TO_PUBLISH === 'true';
+};
 
-// @desc    Get all books for authenticated user
+// @desc    Get the authenticated user's books, filtered, sorted and paginated
 // @route   GET /api/books
 // @access  Private
 const getBooks = async (req, res) => {
   try {
-    const books = await Book.find({ user: req.user._id })
-      .sort({ createdAt: -1 });
+    const { page, limit, skip } = parsePagination(req.query);
+    const { field, direction } = parseBookSort(req.query.sort);
+    const filter = bookListFilter(req.user._id, req.query);
+    const titlePrefix = String(req.query.titlePrefix || '').toLocaleLowerCase();
+
+    let books;
+    let total;
+    let bookStats;
+    if (QUERYABLE_SORT_FIELDS.includes(field) && !titlePrefix) {
+      [books, total] = await Promise.all([
+        Book.find(filter).sort({ [field]: direction, _id: direction }).skip(skip).limit(limit),
+        Book.countDocuments(filter)
+      ]);
+      bookStats = await getBookStats(books.map(book => book._id));
+    } else {
+      // Titles are only readable once decrypted, so these filters and sorts run here
+      const matching = (await Book.find(filter))
+        .filter(book => book.title.toLocaleLowerCase().startsWith(titlePrefix));
+      bookStats = await getBookStats(matching.map(book => book._id));
+      matching.sort(compareBooks(field, direction, bookStats));
+
+      total = matching.length;
+      books = matching.slice(skip, skip + limit);
+    }
+
+    const pages = Math.ceil(total / limit);
 
     res.json({
       success: true,
       count: books.length,
-      data: books
+      total,
+      page,
+      pages,
+      links: paginationLinks(req, { page, limit, pages }),
+      data: books.map(book => formatBook(book, req.user, bookStats))
     });
   } catch (error) {
     res.status(500).json({
@@ -39,9 +262,11 @@ const getBook = async (req, res) => {
       });
     }
 
+    const bookStats = await getBookStats([book._id]);
+
     res.json({
       success: true,
-      data: book
+      data: formatBook(book, req.user, bookStats)
     });
   } catch (error) {
     res.status(500).json({
@@ -57,11 +282,20 @@ const getBook = async (req, res) => {
 // @access  Private
 const createBook = async (req, res) => {
   try {
-    const { title, description } = req.body;
+    const { title, description, penName, encryptionMode } = req.body;
+
+    if (penName && !ownsPenName(req.user, penName)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pen name not found'
+      });
+    }
 
     const book = new Book({
       title,
       description,
+      penName: penName || null,
+      encryptionMode: encryptionMode || 'server',
       user: req.user._id
     });
 
@@ -70,7 +304,7 @@ const createBook = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Book created successfully',
-      data: book
+      data: formatBook(book, req.user)
     });
   } catch (error) {
     res.status(500).json({
@@ -87,7 +321,7 @@ const createBook = async (req, res) => {
 const updateBook = async (req, res) => {
   try {
     const { bookId } = req.params;
-    const { title, description, isPublished } = req.body;
+    const { title, description, isPublished, penName, encryptionMode } = req.body;
 
     // Verify book belongs to user
     const book = await Book.findOne({ _id: bookId, user: req.user._id });
@@ -98,17 +332,46 @@ const updateBook = async (req, res) => {
       });
     }
 
+    if (penName && !ownsPenName(req.user, penName)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pen name not found'
+      });
+    }
+
+    // Existing stories would be unreadable in the other mode
+    if (encryptionMode !== undefined && encryptionMode !== book.encryptionMode) {
+      const hasSections = await Section.exists({ book: book._id });
+      if (hasSections) {
+        return res.status(400).json({
+          success: false,
+          message: 'Encryption mode can only be changed while the book has no sections'
+        });
+      }
+    }
+
+    const publishing = (isPublished === true || isPublished === 'true') && !book.isPublished;
+    if (publishing && publishingRequiresVerifiedEmail() && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before publishing'
+      });
+    }
+
     // Update fields
     if (title !== undefined) book.title = title;
     if (description !== undefined) book.description = description;
     if (isPublished !== undefined) book.isPublished = isPublished;
+    if (penName !== undefined) book.penName = penName || null;
+    if (encryptionMode !== undefined) book.encryptionMode = encryptionMode;
 
     await book.save();
+    const bookStats = await getBookStats([book._id]);
 
     res.json({
       success: true,
       message: 'Book updated successfully',
-      data: book
+      data: formatBook(book, req.user, bookStats)
     });
   } catch (error) {
     res.status(500).json({
@@ -174,22 +437,16 @@ const getBookSections = async (req, res) => {
     const sections = await Section.find({ book: bookId })
       .sort({ order: 1, createdAt: 1 });
 
-    // Decrypt stories
-    const decryptedSections = sections.map(section => {
-      const sectionObj = section.toObject();
-      try {
-        sectionObj.story = encryptionService.decrypt(section.story);
-      } catch (error) {
-        sectionObj.story = '[Encryption Error]';
-      }
-      return sectionObj;
-    });
+    // Decrypt stories with the owner's data key; vault sections are listed locked
+    const dataKey = await getStoryKey(req, book);
+    const decryptedSections = sections.map(section => formatSection(section, book, section.isVault() ? null : dataKey));
+    const bookStats = await getBookStats([book._id]);
 
     res.json({
       success: true,
       count: decryptedSections.length,
       data: {
-        book,
+        book: formatBook(book, req.user, bookStats),
         sections: decryptedSections
       }
     });
@@ -227,14 +484,22 @@ const getSection = async (req, res) => {
       });
     }
 
-    // Decrypt story
-    const sectionResponse = section.toObject();
-    try {
-      sectionResponse.story = encryptionService.decrypt(section.story);
-    } catch (error) {
-      sectionResponse.story = '[Encryption Error]';
+    // Decrypt story; vault sections only with their passphrase
+    const dataKey = await getStoryKey(req, book);
+    let storyKey = dataKey;
+    if (section.isVault()) {
+      const passphrase = req.get(VAULT_HEADER);
+      storyKey = passphrase ? await vaultService.unlock(section.vault, passphrase, dataKey) : null;
+      if (passphrase && !storyKey) {
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid vault passphrase'
+        });
+      }
     }
 
+    const sectionResponse = formatSection(section, book, storyKey);
+
     res.json({
       success: true,
       data: sectionResponse
@@ -254,7 +519,7 @@ const getSection = async (req, res) => {
 const addSection = async (req, res) => {
   try {
     const { bookId } = req.params;
-    const { title, story } = req.body;
+    const { title, story, clientEncrypted, vaultPassphrase } = req.body;
 
     // Verify book belongs to user
     const book = await Book.findOne({ _id: bookId, user: req.user._id });
@@ -265,26 +530,46 @@ const addSection = async (req, res) => {
       });
     }
 
+    const inputError = storyInputError(book, req.body);
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        message: inputError
+      });
+    }
+
     // Get the next order number
     const lastSection = await Section.findOne({ book: bookId })
       .sort({ order: -1 });
     const order = lastSection ? lastSection.order + 1 : 1;
 
-    // Encrypt the story before saving
-    const encryptedStory = encryptionService.encrypt(story);
-
     const section = new Section({
       title,
-      story: encryptedStory,
       book: bookId,
       order
     });
 
+    if (book.isClientEncrypted()) {
+      // Stored as received; the words cannot be counted
+      section.clientEncrypted = toClientEncrypted(clientEncrypted);
+      section.wordCount = null;
+      section.plaintextSize = null;
+    } else {
+      // Encrypt the story with the owner's data key, or a new vault's key, before saving
+      const dataKey = await dataKeyService.getDataKey(req.user._id);
+      let vaultKey = null;
+      if (vaultPassphrase) {
+        ({ vault: section.vault, key: vaultKey } = await vaultService.createVault(vaultPassphrase, dataKey));
+      }
+      writeStory(section, story, dataKey, vaultKey);
+    }
+
     await section.save();
 
-    // Return the section with decrypted story for immediate use
-    const sectionResponse = section.toObject();
-    sectionResponse.story = story; // Return original story, not encrypted
+    // Return the section with the original story for immediate use
+    const sectionResponse = book.isClientEncrypted()
+      ? formatSection(section, book, null)
+      : formatWrittenSection(section, story);
 
     res.status(201).json({
       success: true,
@@ -306,7 +591,7 @@ const addSection = async (req, res) => {
 const updateSection = async (req, res) => {
   try {
     const { bookId, sectionId } = req.params;
-    const { title, story, order } = req.body;
+    const { title, story, clientEncrypted, order, force, vaultPassphrase } = req.body;
 
     // Verify book belongs to user
     const book = await Book.findOne({ _id: bookId, user: req.user._id });
@@ -326,26 +611,73 @@ const updateSection = async (req, res) => {
       });
     }
 
+    const inputError = storyInputError(book, req.body);
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        message: inputError
+      });
+    }
+
+    const dataKey = await getStoryKey(req, book);
+
+    // Vault sections can only be changed with their passphrase
+    let storyKey = dataKey;
+    if (section.isVault()) {
+      const passphrase = req.get(VAULT_HEADER);
+      if (!passphrase) {
+        return res.status(423).json({
+          success: false,
+          message: `This section is in a vault, send its passphrase in the ${VAULT_HEADER} header`
+        });
+      }
+
+      storyKey = await vaultService.unlock(section.vault, passphrase, dataKey);
+      if (!storyKey) {
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid vault passphrase'
+        });
+      }
+    }
+
+    // Saving over a story that cannot be decrypted would destroy whatever is left of it
+    if (!book.isClientEncrypted() && force !== true) {
+      const current = readStory(section, storyKey);
+      if (current.storyStatus === 'corrupt') {
+        return res.status(409).json({
+          success: false,
+          message: 'The stored story cannot be decrypted; send force: true to overwrite it',
+          storyStatus: current.storyStatus,
+          storyError: current.storyError
+        });
+      }
+    }
+
+    // A passphrase moves the section into a vault or changes it, null takes it out
+    if (vaultPassphrase) {
+      ({ vault: section.vault, key: storyKey } = await vaultService.createVault(vaultPassphrase, dataKey));
+    } else if (vaultPassphrase === null) {
+      section.vault = null;
+      storyKey = dataKey;
+    }
+
     // Update fields
     if (title !== undefined) section.title = title;
     if (story !== undefined) {
-      section.story = encryptionService.encrypt(story);
+      writeStory(section, story, dataKey, section.isVault() ? storyKey : null);
+    }
+    if (clientEncrypted !== undefined) {
+      section.clientEncrypted = toClientEncrypted(clientEncrypted);
     }
     if (order !== undefined) section.order = order;
 
     await section.save();
 
-    // Return the section with decrypted story
-    const sectionResponse = section.toObject();
-    if (story !== undefined) {
-      sectionResponse.story = story; // Return original story, not encrypted
-    } else {
-      try {
-        sectionResponse.story = encryptionService.decrypt(section.story);
-      } catch (error) {
-        sectionResponse.story = '[Encryption Error]';
-      }
-    }
+    // Return the section with the original story
+    const sectionResponse = story !== undefined
+      ? formatWrittenSection(section, story)
+      : formatSection(section, book, storyKey);
 
     res.json({
       success: true,
@@ -0,0 +1,185 @@
+const User = require('../models/user.model');
+const oidcService = require('../services/oidc.service');
+const auditLogService = require('../services/auditLog.service');
+
+const findProvider = (req, res) => {
+  const provider = oidcService.getProvider(req.params.provider);
+  if (!provider) {
+    res.status(404).json({
+      success: false,
+      message: 'Unknown identity provider'
+    });
+    return null;
+  }
+  return provider;
+};
+
+const formatIdentity = (identity) => ({
+  _id: identity._id,
+  provider: identity.provider,
+  email: identity.email,
+  linkedAt: identity.linkedAt
+});
+
+// @desc    List configured identity providers
+// @route   GET /api/auth/oidc/providers
+// @access  Public
+const getProviders = (req, res) => {
+  const providers = oidcService.listProviders().filter(name => oidcService.getProvider(name));
+
+  res.json({
+    success: true,
+    data: providers
+  });
+};
+
+// @desc    List identity providers linked to the current user
+// @route   GET /api/auth/identities
+// @access  Private
+const getIdentities = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    res.json({
+      success: true,
+      count: user.identities.length,
+      data: user.identities.map(formatIdentity)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch identities',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start linking an OpenID Connect provider to the current user
+// @route   POST /api/auth/oidc/:provider/link
+// @access  Private
+const startOidcLink = async (req, res) => {
+  try {
+    const provider = findProvider(req, res);
+    if (!provider) return;
+
+    const { authorizationUrl, state } = await oidcService.createAuthorization(provider, {
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      data: {
+        authorizationUrl,
+        state
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to start linking the provider',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Link the provider account returned by an OpenID Connect provider
+// @route   POST /api/auth/oidc/:provider/link/callback
+// @access  Private
+const completeOidcLink = async (req, res) => {
+  try {
+    const provider = findProvider(req, res);
+    if (!provider) return;
+
+    const { code, state } = req.body;
+    let claims;
+    try {
+      claims = await oidcService.completeAuthorization(provider, { code, state, userId: req.user._id });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const owner = await User.findOne({
+      identities: { $elemMatch: { provider: provider.name, subject: claims.sub } }
+    });
+    if (owner && !owner._id.equals(req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This provider account is already linked to another user'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!owner) {
+      user.identities.push({
+        provider: provider.name,
+        subject: claims.sub,
+        email: claims.email || null
+      });
+      await user.save();
+      await auditLogService.record('identity.linked', req, { user, metadata: { provider: provider.name } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Identity linked successfully',
+      data: user.identities.map(formatIdentity)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link the provider',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Unlink an identity provider from the current user
+// @route   DELETE /api/auth/identities/:identityId
+// @access  Private
+const unlinkIdentity = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const identity = user.identities.id(req.params.identityId);
+    if (!identity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Identity not found'
+      });
+    }
+
+    // Keep at least one way to log in
+    if (!user.hasPassword() && user.identities.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password or link another provider before unlinking this one'
+      });
+    }
+
+    identity.deleteOne();
+    await user.save();
+    await auditLogService.record('identity.unlinked', req, { user, metadata: { provider: identity.provider } });
+
+    res.json({
+      success: true,
+      message: 'Identity unlinked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink identity',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProviders,
+  getIdentities,
+  startOidcLink,
+  completeOidcLink,
+  unlinkIdentity
+};
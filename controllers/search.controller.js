@@ -0,0 +1,131 @@
+const Book = require('../models/book.model');
+const Section = require('../models/section.model');
+const encryptionService = require('../services/encryption.service');
+const dataKeyService = require('../services/dataKey.service');
+const blindIndexService = require('../services/blindIndex.service');
+const { parsePagination } = require('../utils/pagination');
+
+// Find sections of the given books containing every word of the query, matched on their
+// blind indexes, and decrypt the matches to build snippets
+const searchSections = async (req, books) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const dataKey = await dataKeyService.getDataKey(req.user._id);
+
+  const filter = {
+    book: { $in: books.map(book => book._id) },
+    searchIndex: { $all: blindIndexService.queryIndex(req.query.q, dataKey) }
+  };
+
+  const [sections, total] = await Promise.all([
+    Section.find(filter).sort({ book: 1, order: 1, createdAt: 1 }).skip(skip).limit(limit),
+    Section.countDocuments(filter)
+  ]);
+
+  const booksById = new Map(books.map(book => [book._id.toString(), book]));
+  const results = sections.map(section => {
+    const book = booksById.get(section.book.toString());
+    let match = { snippet: null, highlights: [] };
+    try {
+      match = blindIndexService.buildSnippet(encryptionService.decrypt(section.story, dataKey), req.query.q);
+    } catch (error) {
+      // The section still matched; it just cannot be previewed
+    }
+
+    return {
+      book: { _id: book._id, title: book.title },
+      section: { _id: section._id, title: section.title, order: section.order },
+      ...match
+    };
+  });
+
+  return { results, total, page, pages: Math.ceil(total / limit) };
+};
+
+// A query made only of one-letter words or punctuation has nothing to look up
+const hasSearchTerms = (req, res) => {
+  if (blindIndexService.tokenize(req.query.q).length > 0) {
+    return true;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Search query must contain at least one word of two or more characters'
+  });
+  return false;
+};
+
+// @desc    Search the stories of one book
+// @route   GET /api/books/:bookId/search?q=
+// @access  Private
+const searchBook = async (req, res) => {
+  try {
+    const book = await Book.findOne({ _id: req.params.bookId, user: req.user._id });
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+
+    if (book.isClientEncrypted()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search is not available for client-encrypted books'
+      });
+    }
+
+    if (!hasSearchTerms(req, res)) return;
+
+    const { results, total, page, pages } = await searchSections(req, [book]);
+
+    res.json({
+      success: true,
+      count: results.length,
+      total,
+      page,
+      pages,
+      data: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search book',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Search the stories of all the user's books
+// @route   GET /api/search?q=
+// @access  Private
+const searchAll = async (req, res) => {
+  try {
+    if (!hasSearchTerms(req, res)) return;
+
+    const books = await Book.find({ user: req.user._id });
+    const searchable = books.filter(book => !book.isClientEncrypted());
+    const { results, total, page, pages } = await searchSections(req, searchable);
+
+    res.json({
+      success: true,
+      count: results.length,
+      total,
+      page,
+      pages,
+      data: results,
+      // Client-encrypted books cannot be searched on the server
+      excludedBooks: books.filter(book => book.isClientEncrypted()).map(book => book._id)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search books',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  searchBook,
+  searchAll
+};
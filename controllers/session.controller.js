@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const sessionService = require('../services/session.service');
+const auditLogService = require('../services/auditLog.service');
+const { parsePagination } = require('../utils/pagination');
+
+const isCurrentSession = (req, sessionId) => {
+  return Boolean(req.auth && req.auth.sessionId && req.auth.sessionId.toString() === sessionId.toString());
+};
+
+// @desc    List active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listActive(req.user._id);
+
+    const data = sessions.map(session => ({
+      _id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: isCurrentSession(req, session._id)
+    }));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List recent authentication activity of the current user
+// @route   GET /api/auth/activity
+// @access  Private
+const getActivity = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const { events, total } = await auditLogService.list({ user: req.user._id }, { skip, limit });
+
+    const data = events.map(event => ({
+      _id: event._id,
+      type: event.type,
+      success: event.success,
+      ip: event.ip,
+      device: sessionService.describeDevice(event.userAgent),
+      userAgent: event.userAgent,
+      metadata: event.metadata,
+      createdAt: event.createdAt
+    }));
+
+    res.json({
+      success: true,
+      count: data.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch activity',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = mongoose.Types.ObjectId.isValid(sessionId)
+      ? await sessionService.revoke(sessionId, req.user._id)
+      : null;
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await auditLogService.record('session.revoked', req, {
+      user: req.user,
+      metadata: { sessionId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = async (req, res) => {
+  try {
+    if (req.auth && req.auth.sessionId) {
+      await sessionService.revoke(req.auth.sessionId, req.user._id);
+    }
+    await auditLogService.record('logout', req, {
+      user: req.user,
+      metadata: { sessionId: req.auth && req.auth.sessionId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out of every session, including the current one
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    const count = await sessionService.revokeAll(req.user._id);
+    await auditLogService.record('logout_all', req, { user: req.user, metadata: { count } });
+
+    res.json({
+      success: true,
+      message: 'All sessions revoked successfully',
+      count
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSessions,
+  getActivity,
+  revokeSession,
+  logout,
+  logoutAll
+};
@@ -0,0 +1,96 @@
+const personalAccessTokenService = require('../services/personalAccessToken.service');
+const auditLogService = require('../services/auditLog.service');
+
+// @desc    Create a personal access token
+// @route   POST /api/auth/tokens
+// @access  Private
+const createToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { token, record } = await personalAccessTokenService.create(req.user._id, {
+      name,
+      scopes,
+      expiresInDays
+    });
+    await auditLogService.record('token.created', req, {
+      user: req.user,
+      metadata: { tokenId: record._id, name: record.name, scopes: record.scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Token created successfully. Copy it now, it will not be shown again.',
+      data: {
+        ...record.toJSON(),
+        token
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create token',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List the current user's personal access tokens
+// @route   GET /api/auth/tokens
+// @access  Private
+const getTokens = async (req, res) => {
+  try {
+    const tokens = await personalAccessTokenService.list(req.user._id);
+
+    res.json({
+      success: true,
+      count: tokens.length,
+      data: tokens
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tokens',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/auth/tokens/:tokenId
+// @access  Private
+const revokeToken = async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+
+    const token = await personalAccessTokenService.revoke(tokenId, req.user._id);
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'Token not found'
+      });
+    }
+
+    await auditLogService.record('token.revoked', req, {
+      user: req.user,
+      metadata: { tokenId: token._id, name: token.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Token revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke token',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createToken,
+  getTokens,
+  revokeToken
+};
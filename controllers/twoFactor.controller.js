@@ -0,0 +1,181 @@
+const User = require('../models/user.model');
+const twoFactorService = require('../services/twoFactor.service');
+const sessionService = require('../services/session.service');
+const auditLogService = require('../services/auditLog.service');
+
+// @desc    Start 2FA enrollment and return the otpauth URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const reauthenticationError = await sessionService.reauthenticationError(user, {
+      password,
+      sessionId: req.auth.sessionId
+    });
+    if (reauthenticationError) {
+      return res.status(401).json({
+        success: false,
+        message: reauthenticationError
+      });
+    }
+
+    const { secret, otpauthUri } = twoFactorService.beginEnrollment(user);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app and confirm with a code',
+      data: {
+        secret,
+        otpauthUri
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm 2FA enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = twoFactorService.confirmEnrollment(user, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await user.save();
+    await auditLogService.record('two_factor.enabled', req, { user });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Generate a new set of recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const reauthenticationError = await sessionService.reauthenticationError(user, {
+      password,
+      sessionId: req.auth.sessionId
+    });
+    if (reauthenticationError) {
+      return res.status(401).json({
+        success: false,
+        message: reauthenticationError
+      });
+    }
+
+    if (!twoFactorService.verify(user, { code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = twoFactorService.generateRecoveryCodes(user);
+    await user.save();
+    await auditLogService.record('two_factor.recovery_codes_regenerated', req, { user });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const reauthenticationError = await sessionService.reauthenticationError(user, {
+      password,
+      sessionId: req.auth.sessionId
+    });
+    if (reauthenticationError || !twoFactorService.verify(user, { code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: reauthenticationError || 'Invalid credentials'
+      });
+    }
+
+    twoFactorService.disable(user);
+    await user.save();
+    await auditLogService.record('two_factor.disabled', req, { user });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
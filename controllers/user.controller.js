@@ -0,0 +1,83 @@
+const User = require('../models/user.model');
+const Book = require('../models/book.model');
+
+// @desc    Get the current user's profile
+// @route   GET /api/users/me/profile
+// @access  Private
+const getProfile = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: req.user.profile
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profile',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update the current user's profile
+// @route   PUT /api/users/me/profile
+// @access  Private
+const updateProfile = async (req, res) => {
+  try {
+    const { displayName, bio, avatar, website, penNames } = req.body;
+    const user = await User.findById(req.user._id);
+
+    // Update fields
+    if (displayName !== undefined) user.profile.displayName = displayName;
+    if (bio !== undefined) user.profile.bio = bio;
+    if (avatar !== undefined) user.profile.avatar = avatar;
+    if (website !== undefined) user.profile.website = website;
+
+    // Pen names are replaced as a list; entries with an _id keep their identity
+    let removedPenNameIds = [];
+    if (penNames !== undefined) {
+      const existingIds = user.profile.penNames.map(penName => penName._id.toString());
+      const keptIds = penNames.filter(penName => penName._id).map(penName => String(penName._id));
+
+      const unknownId = keptIds.find(id => !existingIds.includes(id));
+      if (unknownId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Pen name not found'
+        });
+      }
+
+      removedPenNameIds = existingIds.filter(id => !keptIds.includes(id));
+      user.profile.penNames = penNames.map(penName => (
+        penName._id ? { _id: penName._id, name: penName.name } : { name: penName.name }
+      ));
+    }
+
+    await user.save();
+
+    // Books using a removed pen name fall back to the display name
+    if (removedPenNameIds.length > 0) {
+      await Book.updateMany(
+        { user: user._id, penName: { $in: removedPenNameIds } },
+        { penName: null }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: user.profile
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProfile,
+  updateProfile
+};
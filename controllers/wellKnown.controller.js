@@ -0,0 +1,22 @@
+const jwtKeyset = require('../services/jwtKeyset.service');
+
+// @desc    Public keys for verifying access tokens
+// @route   GET /.well-known/jwks.json
+// @access  Public
+const getJwks = (req, res) => {
+  try {
+    // Verifiers may cache the keyset; new keys should be published before they sign
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwtKeyset.getJwks());
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load signing keys',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getJwks
+};
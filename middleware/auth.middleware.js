@@ -1,39 +1,131 @@
 const jwtService = require('../services/jwt.service');
 const User = require('../models/user.model');
+const sessionService = require('../services/session.service');
+const personalAccessTokenService = require('../services/personalAccessToken.service');
 
+const unauthorized = (res, message) => {
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+// Accepts both session JWTs and personal access tokens
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
     if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token required'
-      });
+      return unauthorized(res, 'Access token required');
     }
 
     const token = jwtService.extractTokenFromHeader(authHeader);
+
+    if (personalAccessTokenService.isPersonalAccessToken(token)) {
+      const record = await personalAccessTokenService.authenticate(token);
+      if (!record) {
+        return unauthorized(res, 'Invalid or expired token');
+      }
+
+      // The password hash is loaded so hasPassword() is accurate; toJSON() never returns it
+      const user = await User.findById(record.user);
+      if (!user) {
+        return unauthorized(res, 'User not found');
+      }
+
+      if (user.disabledAt) {
+        return unauthorized(res, 'Account has been disabled');
+      }
+
+      req.user = user;
+      req.auth = {
+        type: 'personal_access_token',
+        tokenId: record._id,
+        scopes: record.scopes
+      };
+      return next();
+    }
+
     const decoded = jwtService.verifyToken(token);
     
-    // Find user and attach to request
-    const user = await User.findById(decoded.userId).select('-password');
+    // Find user and attach to request; toJSON() keeps the password hash out of responses
+    const user = await User.findById(decoded.userId);
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found'
-      });
+      return unauthorized(res, 'User not found');
+    }
+
+    if (user.disabledAt) {
+      return unauthorized(res, 'Account has been disabled');
+    }
+
+    if (user.changedPasswordAfter && user.changedPasswordAfter(decoded.iat)) {
+      return unauthorized(res, 'Password was changed, please log in again');
+    }
+
+    // Reject tokens belonging to revoked or expired sessions
+    let session = null;
+    if (decoded.sid) {
+      session = await sessionService.findActive(decoded.sid, user._id);
+      if (!session) {
+        return unauthorized(res, 'Session has been revoked');
+      }
+      await sessionService.touch(session);
     }
 
     req.user = user;
+    req.auth = {
+      type: 'jwt',
+      sessionId: session ? session._id : null
+    };
     next();
   } catch (error) {
-    return res.status(401).json({
+    return unauthorized(res, 'Invalid or expired token');
+  }
+};
+
+// Personal access tokens must carry every listed scope; logged-in users have full access
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (req.auth && req.auth.type === 'personal_access_token') {
+      const missing = scopes.filter(scope => !req.auth.scopes.includes(scope));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Token is missing required scope: ${missing.join(', ')}`
+        });
+      }
+    }
+    next();
+  };
+};
+
+// Restrict a route to users with one of the given roles
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+};
+
+// Account management is only available to interactive logins, never to access tokens
+const requireSession = (req, res, next) => {
+  if (!req.auth || req.auth.type !== 'jwt') {
+    return res.status(403).json({
       success: false,
-      message: 'Invalid or expired token'
+      message: 'This endpoint requires logging in with your password'
     });
   }
+  next();
 };
 
 module.exports = {
-  authenticateToken
-}; 
\ No newline at end of file
+  authenticateToken,
+  requireScope,
+  requireSession,
+  authorize
+};
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'register',
+  'login.success',
+  'login.failure',
+  'login.locked',
+  'magic_link.requested',
+  'refresh_token.reused',
+  'logout',
+  'logout_all',
+  'session.revoked',
+  'password.reset_requested',
+  'password.reset',
+  'password.changed',
+  'email.change_requested',
+  'email.verified',
+  'account.unlocked',
+  'identity.linked',
+  'identity.unlinked',
+  'account.deleted',
+  'account.disabled',
+  'account.enabled',
+  'role.changed',
+  'two_factor.enabled',
+  'two_factor.disabled',
+  'two_factor.recovery_codes_regenerated',
+  'token.created',
+  'token.revoked'
+];
+
+// Events are removed automatically after the retention period
+const retentionDays = parseInt(process.env.AUTH_EVENT_RETENTION_DAYS) || 90;
+
+const authEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Attempted email, kept for failed logins of unknown accounts
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: [true, 'Event type is required']
+  },
+  success: {
+    type: Boolean,
+    default: true
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a user's activity
+authEventSchema.index({ user: 1, createdAt: -1 });
+authEventSchema.index({ type: 1, createdAt: -1 });
+
+authEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 });
+
+authEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('AuthEvent', authEventSchema);
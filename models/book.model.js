@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const fieldEncryption = require('./plugins/fieldEncryption.plugin');
+
+// 'server': stories are encrypted by the API. 'client': stories arrive already encrypted
+// and the server never sees the plaintext.
+const ENCRYPTION_MODES = ['server', 'client'];
+
+// Features that need the plaintext and so cannot work for client-encrypted books
+const PLAINTEXT_FEATURES = ['wordCount', 'search', 'export'];
+
+// Fields book lists can be sorted by; wordCount is the total of the book's sections
+const SORT_FIELDS = ['title', 'createdAt', 'updatedAt', 'wordCount'];
 
 const bookSchema = new mongoose.Schema({
   title: {
@@ -17,10 +28,23 @@ const bookSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // Id of one of the owner's pen names (User.profile.penNames)
+  penName: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   isPublished: {
     type: Boolean,
     default: false
   },
+  encryptionMode: {
+    type: String,
+    enum: {
+      values: ENCRYPTION_MODES,
+      message: 'Encryption mode must be one of: server, client'
+    },
+    default: 'server'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -33,7 +57,23 @@ const bookSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Encrypted at rest; documents hold the plaintext
+bookSchema.plugin(fieldEncryption, { fields: ['title', 'description'] });
+
 // Index for faster queries
 bookSchema.index({ user: 1, createdAt: -1 });
 
+bookSchema.methods.isClientEncrypted = function() {
+  return this.encryptionMode === 'client';
+};
+
+// Server features that are unavailable for this book
+bookSchema.methods.unavailableFeatures = function() {
+  return this.isClientEncrypted() ? [...PLAINTEXT_FEATURES] : [];
+};
+
+bookSchema.statics.ENCRYPTION_MODES = ENCRYPTION_MODES;
+bookSchema.statics.PLAINTEXT_FEATURES = PLAINTEXT_FEATURES;
+bookSchema.statics.SORT_FIELDS = SORT_FIELDS;
+
 module.exports = mongoose.model('Book', bookSchema); 
\ No newline at end of file
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A pending OpenID Connect authorization, looked up by the hash of its state parameter
+const oidcAuthorizationSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: [true, 'State hash is required'],
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  codeVerifier: {
+    type: String,
+    required: [true, 'PKCE code verifier is required']
+  },
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required']
+  },
+  redirectUri: {
+    type: String,
+    required: [true, 'Redirect URI is required']
+  },
+  // Set when a logged-in user is linking a provider rather than logging in
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove abandoned authorizations
+oidcAuthorizationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcAuthorization', oidcAuthorizationSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const SCOPES = ['books:read', 'books:write', 'sections:read', 'sections:write'];
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  // First characters of the token so users can tell their tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: SCOPES,
+        message: 'Unknown scope: {VALUE}'
+      }
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's tokens
+personalAccessTokenSchema.index({ user: 1, createdAt: -1 });
+
+personalAccessTokenSchema.statics.SCOPES = SCOPES;
+
+// Method to check whether the token can still be used
+personalAccessTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to get token without its hash
+personalAccessTokenSchema.methods.toJSON = function() {
+  const token = this.toObject();
+  delete token.tokenHash;
+  return token;
+};
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
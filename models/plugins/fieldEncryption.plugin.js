@@ -0,0 +1,90 @@
+const encryptionService = require('../../services/encryption.service');
+
+// Stored values without an envelope are plaintext written before the field was encrypted.
+// Throws a DecryptionError when an envelope cannot be decrypted.
+const decryptField = (value) => {
+  if (typeof value !== 'string' || !encryptionService.isEnvelope(value)) {
+    return value;
+  }
+  return encryptionService.decrypt(value);
+};
+
+// Encrypt string fields at rest with the active keyring key:
+//   schema.plugin(fieldEncryption, { fields: ['title', 'description'] })
+// Documents hold plaintext; values are encrypted just before saving (after validation,
+// so length limits apply to the plaintext) and decrypted when loaded. Queries cannot
+// match or sort on encrypted fields, and updates that bypass save() store plaintext.
+// A field that cannot be decrypted keeps its stored ciphertext, listed by
+// undecryptableFields(); saving leaves it as stored unless it is given a new value.
+const fieldEncryption = (schema, { fields = [] } = {}) => {
+  schema.pre('init', function(raw) {
+    const undecryptable = {};
+    for (const field of fields) {
+      if (raw[field] !== undefined) {
+        try {
+          raw[field] = decryptField(raw[field]);
+        } catch (error) {
+          undecryptable[field] = raw[field];
+        }
+      }
+    }
+    this.$locals.fieldEncryptionUndecryptable = undecryptable;
+  });
+
+  schema.methods.undecryptableFields = function() {
+    return Object.keys(this.$locals.fieldEncryptionUndecryptable || {});
+  };
+
+  schema.pre('save', function(next) {
+    const plaintext = {};
+    const undecryptable = this.$locals.fieldEncryptionUndecryptable || {};
+
+    try {
+      for (const field of fields) {
+        const value = this.get(field);
+        if (Object.prototype.hasOwnProperty.call(undecryptable, field)) {
+          // Encrypting the stored ciphertext as if it were plaintext would destroy it
+          if (value === undecryptable[field]) {
+            if (this.isModified(field)) {
+              throw new Error(`Cannot save "${field}": its stored value could not be decrypted`);
+            }
+            continue;
+          }
+          delete undecryptable[field];
+        }
+        if (this.isModified(field) && typeof value === 'string' && value !== '') {
+          plaintext[field] = value;
+          this.set(field, encryptionService.encrypt(value));
+        }
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    this.$locals.fieldEncryptionPlaintext = plaintext;
+    next();
+  });
+
+  // Put the plaintext back so the saved document can be used as before
+  const restorePlaintext = (doc) => {
+    const plaintext = doc.$locals.fieldEncryptionPlaintext || {};
+    for (const [field, value] of Object.entries(plaintext)) {
+      doc.set(field, value);
+      doc.unmarkModified(field);
+    }
+    delete doc.$locals.fieldEncryptionPlaintext;
+  };
+
+  schema.post('save', function(doc) {
+    restorePlaintext(doc);
+  });
+
+  schema.post('save', function(error, doc, next) {
+    restorePlaintext(doc);
+    next(error);
+  });
+};
+
+fieldEncryption.decryptField = decryptField;
+
+module.exports = fieldEncryption;
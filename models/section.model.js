@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const fieldEncryption = require('./plugins/fieldEncryption.plugin');
 
 const sectionSchema = new mongoose.Schema({
   title: {
@@ -12,6 +13,53 @@ const sectionSchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  // Story of a client-encrypted book: an opaque payload the server cannot read,
+  // with what the client needs to derive and check its key
+  clientEncrypted: {
+    type: new mongoose.Schema({
+      payload: {
+        type: String,
+        required: true
+      },
+      algorithm: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      salt: {
+        type: String,
+        default: null
+      },
+      keyCheck: {
+        type: String,
+        default: null
+      }
+    }, { _id: false }),
+    default: null
+  },
+  // Vault sections: the story is encrypted with a key derived from a passphrase of its
+  // own (see services/vault.service.js); these are the KDF settings to derive it again
+  vault: {
+    type: new mongoose.Schema({
+      kdf: {
+        type: String,
+        enum: ['scrypt'],
+        default: 'scrypt'
+      },
+      salt: {
+        type: String,
+        required: true
+      },
+      N: Number,
+      r: Number,
+      p: Number,
+      keyCheck: {
+        type: String,
+        required: true
+      }
+    }, { _id: false }),
+    default: null
+  },
   book: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Book',
@@ -22,10 +70,24 @@ const sectionSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Order cannot be negative']
   },
+  // Blind index of the story's words (see services/blindIndex.service.js); missing
+  // until the section is indexed, never returned in responses
+  searchIndex: {
+    type: [String],
+    default: undefined,
+    select: false
+  },
+  // null when the story is client-encrypted or in a vault and cannot be counted
   wordCount: {
     type: Number,
     default: 0
   },
+  // Size of the story in UTF-8 bytes before compression and encryption; null when it is
+  // client-encrypted or in a vault
+  plaintextSize: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -38,16 +100,48 @@ const sectionSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Calculate word count before saving
+const countWords = (text) => {
+  const trimmed = String(text || '').trim();
+  return trimmed === '' ? 0 : trimmed.split(/\s+/).filter(word => word.length > 0).length;
+};
+
+// Recalculate the word count and size whenever the story changes. An encrypted story is
+// measured from the plaintext given to setEncryptedStory(); null leaves it unmeasured.
 sectionSchema.pre('save', function(next) {
   if (this.isModified('story')) {
-    const trimmedStory = this.story.trim();
-    this.wordCount = trimmedStory === '' ? 0 : trimmedStory.split(/\s+/).filter(word => word.length > 0).length;
+    const { plaintextStory } = this.$locals;
+    const plaintext = plaintextStory !== undefined ? plaintextStory : this.story;
+    this.wordCount = plaintext === null ? null : countWords(plaintext);
+    this.plaintextSize = plaintext === null ? null : Buffer.byteLength(plaintext || '');
+    delete this.$locals.plaintextStory;
   }
   next();
 });
 
+// Store an encrypted story along with the plaintext it was encrypted from, or null when
+// nothing about the plaintext may be stored
+sectionSchema.methods.setEncryptedStory = function(ciphertext, plaintext) {
+  this.story = ciphertext;
+  this.$locals.plaintextStory = plaintext;
+};
+
+sectionSchema.methods.isVault = function() {
+  return Boolean(this.vault);
+};
+
+// Bytes the story takes up in the database, whether encrypted by the server or the client
+sectionSchema.methods.storedSize = function() {
+  const stored = this.clientEncrypted ? this.clientEncrypted.payload : this.story;
+  return Buffer.byteLength(stored || '');
+};
+
+// Encrypted at rest; documents hold the plaintext
+sectionSchema.plugin(fieldEncryption, { fields: ['title'] });
+
 // Create compound index for efficient querying
 sectionSchema.index({ book: 1, order: 1 });
+sectionSchema.index({ book: 1, searchIndex: 1 });
+
+sectionSchema.statics.countWords = countWords;
 
 module.exports = mongoose.model('Section', sectionSchema); 
\ No newline at end of file
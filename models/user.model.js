@@ -1,5 +1,82 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { validatePassword } = require('../utils/passwordPolicy');
+
+const penNameSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pen name is required'],
+    trim: true,
+    maxlength: [100, 'Pen name cannot exceed 100 characters']
+  }
+});
+
+const profileSchema = new mongoose.Schema({
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: [80, 'Display name cannot exceed 80 characters'],
+    default: ''
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Bio cannot exceed 1000 characters'],
+    default: ''
+  },
+  avatar: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Avatar reference cannot exceed 500 characters'],
+    default: ''
+  },
+  website: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Website cannot exceed 200 characters'],
+    default: ''
+  },
+  penNames: {
+    type: [penNameSchema],
+    default: []
+  }
+}, {
+  _id: false
+});
+
+// An account at an external OpenID Connect provider linked to this user
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Identity provider is required']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Identity subject is required']
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Brute-force protection settings
+const loginPolicy = () => ({
+  delayAfterAttempts: parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 3,
+  baseDelayMs: (parseInt(process.env.LOGIN_DELAY_BASE_SECONDS) || 1) * 1000,
+  maxDelayMs: (parseInt(process.env.LOGIN_DELAY_MAX_SECONDS) || 5 * 60) * 1000,
+  lockoutThreshold: parseInt(process.env.LOCKOUT_THRESHOLD) || 10,
+  lockoutDurationMs: (parseInt(process.env.LOCKOUT_DURATION_MINUTES) || 30) * 60 * 1000
+});
+
+const ROLES = ['user', 'admin', 'support'];
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -10,10 +87,146 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Accounts created through an identity provider may have no password
   password: {
     type: String,
-    required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters long']
+    required: [function() { return this.identities.length === 0; }, 'Password is required'],
+    // Same policy as the request validators; the stored value is a hash once saved
+    validate: {
+      validator: function(value) {
+        if (!this.isModified('password')) return true;
+
+        const [error] = validatePassword(value, { email: this.email });
+        if (error) {
+          throw new Error(error);
+        }
+        return true;
+      },
+      message: 'Password does not meet the password policy'
+    }
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Role must be one of: user, admin, support'
+    },
+    default: 'user'
+  },
+  disabledAt: {
+    type: Date,
+    default: null
+  },
+  disabledReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  profile: {
+    type: profileSchema,
+    default: () => ({})
+  },
+  identities: {
+    type: [identitySchema],
+    default: []
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    default: null
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: []
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null
+  },
+  // Per-user content key, stored only wrapped by the key provider's master key
+  dataKey: {
+    keyId: {
+      type: String,
+      default: null
+    },
+    provider: {
+      type: String,
+      default: null
+    },
+    wrappedKey: {
+      type: String,
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: null
+    }
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  unlockTokenHash: {
+    type: String,
+    default: null
+  },
+  unlockTokenExpires: {
+    type: Date,
+    default: null
+  },
+  passwordResetTokenHash: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  magicLinkTokenHash: {
+    type: String,
+    default: null
+  },
+  magicLinkExpires: {
+    type: Date,
+    default: null
   },
   createdAt: {
     type: Date,
@@ -27,13 +240,29 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Index for admin user searches
+userSchema.index({ role: 1 });
+
+// A provider account can only be linked to one user
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+userSchema.statics.ROLES = ROLES;
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Tokens issued before this moment are no longer accepted
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -42,14 +271,174 @@ userSchema.pre('save', async function(next) {
 
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to get user without password
+// Method to check whether a token was issued before the last password change
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Method to check whether the user can log in with a password
+userSchema.methods.hasPassword = function() {
+  return Boolean(this.password);
+};
+
+// Method to check whether an admin has disabled the account
+userSchema.methods.isDisabled = function() {
+  return Boolean(this.disabledAt);
+};
+
+// Method to check whether the account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Method to get the seconds to wait before the next login attempt (0 when allowed).
+// After a few failures every further attempt has to wait exponentially longer.
+userSchema.methods.getLoginRetryAfter = function() {
+  const now = Date.now();
+  if (this.isLocked()) {
+    return Math.ceil((this.lockUntil.getTime() - now) / 1000);
+  }
+  // Failures before an expired lock no longer count
+  if (this.lockUntil) {
+    return 0;
+  }
+
+  const policy = loginPolicy();
+  const excessAttempts = this.failedLoginAttempts - policy.delayAfterAttempts;
+  if (excessAttempts < 0 || !this.lastFailedLoginAt) {
+    return 0;
+  }
+
+  const delayMs = Math.min(policy.baseDelayMs * 2 ** excessAttempts, policy.maxDelayMs);
+  const allowedAt = this.lastFailedLoginAt.getTime() + delayMs;
+  return allowedAt > now ? Math.ceil((allowedAt - now) / 1000) : 0;
+};
+
+// Record a failed login atomically and lock the account once the threshold is reached.
+// Returns the updated user and whether this attempt caused the lock.
+userSchema.statics.recordFailedLogin = async function(userId) {
+  const policy = loginPolicy();
+  const now = new Date();
+
+  // Once a lock has expired, counting starts over
+  await this.updateOne(
+    { _id: userId, lockUntil: { $lte: now } },
+    { $set: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null } }
+  );
+
+  const user = await this.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+
+  if (user.failedLoginAttempts < policy.lockoutThreshold || user.isLocked()) {
+    return { user, locked: false };
+  }
+
+  // Only one of several concurrent failures gets to lock the account
+  const locked = await this.findOneAndUpdate(
+    { _id: userId, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+    { $set: { lockUntil: new Date(now.getTime() + policy.lockoutDurationMs) } },
+    { new: true }
+  );
+
+  return locked ? { user: locked, locked: true } : { user, locked: false };
+};
+
+// Method to clear failed attempts and any lock
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = null;
+  this.lockUntil = null;
+  this.unlockTokenHash = null;
+  this.unlockTokenExpires = null;
+};
+
+// Create a single-use token; only its hash is stored on the user
+const createOneTimeToken = (user, hashField, expiresField, minutes) => {
+  const token = generateRandomToken();
+
+  user[hashField] = hashToken(token);
+  user[expiresField] = new Date(Date.now() + minutes * 60 * 1000);
+
+  return token;
+};
+
+// Find the user holding an unexpired single-use token and clear it in the same
+// atomic update, so the token can only be used once. Returns null otherwise.
+userSchema.statics.claimOneTimeToken = function(hashField, expiresField, token, update = {}) {
+  return this.findOneAndUpdate(
+    { [hashField]: hashToken(token), [expiresField]: { $gt: new Date() } },
+    { ...update, [hashField]: null, [expiresField]: null },
+    { new: true }
+  );
+};
+
+// Method to create a password reset token
+userSchema.methods.createPasswordResetToken = function() {
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+  return createOneTimeToken(this, 'passwordResetTokenHash', 'passwordResetExpires', minutes);
+};
+
+// Method to create an email verification token
+userSchema.methods.createEmailVerificationToken = function() {
+  const minutes = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_MINUTES) || 24 * 60;
+  return createOneTimeToken(this, 'emailVerificationTokenHash', 'emailVerificationExpires', minutes);
+};
+
+// Method to create a token for unlocking the account by email
+userSchema.methods.createUnlockToken = function() {
+  const minutes = parseInt(process.env.UNLOCK_TOKEN_EXPIRES_MINUTES) || 24 * 60;
+  return createOneTimeToken(this, 'unlockTokenHash', 'unlockTokenExpires', minutes);
+};
+
+// Method to create a short-lived passwordless sign-in token
+userSchema.methods.createMagicLinkToken = function() {
+  const minutes = parseInt(process.env.MAGIC_LINK_EXPIRES_MINUTES) || 15;
+  return createOneTimeToken(this, 'magicLinkTokenHash', 'magicLinkExpires', minutes);
+};
+
+// Method to get user without password, token hashes and security counters
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
+  user.hasPassword = this.hasPassword();
   delete user.password;
+  delete user.failedLoginAttempts;
+  delete user.lastFailedLoginAt;
+  delete user.lockUntil;
+  delete user.unlockTokenHash;
+  delete user.unlockTokenExpires;
+  delete user.emailVerificationTokenHash;
+  delete user.emailVerificationExpires;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
+  delete user.magicLinkTokenHash;
+  delete user.magicLinkExpires;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastUsedStep;
+  delete user.dataKey;
   return user;
 };
 
+// Method to get user for admins, including login attempt counters
+userSchema.methods.toAdminJSON = function() {
+  return {
+    ...this.toJSON(),
+    security: {
+      failedLoginAttempts: this.failedLoginAttempts,
+      lastFailedLoginAt: this.lastFailedLoginAt,
+      lockUntil: this.lockUntil,
+      locked: this.isLocked()
+    }
+  };
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
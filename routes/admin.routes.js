@@ -0,0 +1,36 @@
+const express = require('express');
+const { roleValidation, disableUserValidation, userListValidation } = require('../utils/validator');
+const {
+  getUsers,
+  getUser,
+  getUserActivity,
+  getAuthEvents,
+  disableUser,
+  enableUser,
+  unlockUser,
+  updateUserRole,
+  scanSectionIntegrity
+} = require('../controllers/admin.controller');
+const { authenticateToken, requireSession, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// All admin routes require a logged-in admin or support user
+router.use(authenticateToken, requireSession, authorize('admin', 'support'));
+
+// User routes
+router.get('/users', userListValidation, getUsers);
+router.get('/users/:userId', getUser);
+router.get('/users/:userId/activity', getUserActivity);
+router.post('/users/:userId/unlock', unlockUser);
+router.post('/users/:userId/disable', authorize('admin'), disableUserValidation, disableUser);
+router.post('/users/:userId/enable', authorize('admin'), enableUser);
+router.put('/users/:userId/role', authorize('admin'), roleValidation, updateUserRole);
+
+// Authentication audit log
+router.get('/auth-events', getAuthEvents);
+
+// Encryption integrity
+router.get('/integrity/sections', authorize('admin'), scanSectionIntegrity);
+
+module.exports = router;
@@ -1,11 +1,69 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { registerValidation, loginValidation } = require('../utils/validator');
-const { register, login, getCurrentUser } = require('../controllers/auth.controller');
-const { authenticateToken } = require('../middleware/auth.middleware');
+const {
+  registerValidation,
+  loginValidation,
+  refreshTokenValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  magicLinkValidation,
+  magicLinkConsumeValidation,
+  oidcCallbackValidation,
+  twoFactorLoginValidation,
+  twoFactorSetupValidation,
+  twoFactorCodeValidation,
+  twoFactorRecoveryCodesValidation,
+  twoFactorDisableValidation,
+  changePasswordValidation,
+  changeEmailValidation,
+  deleteAccountValidation,
+  personalAccessTokenValidation
+} = require('../utils/validator');
+const {
+  register,
+  login,
+  requestMagicLink,
+  consumeMagicLink,
+  startOidcLogin,
+  completeOidcLogin,
+  verifyTwoFactorLogin,
+  refresh,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  unlockAccount,
+  getCurrentUser
+} = require('../controllers/auth.controller');
+const { changePassword, changeEmail, deleteAccount } = require('../controllers/account.controller');
+const {
+  getSessions,
+  getActivity,
+  revokeSession,
+  logout,
+  logoutAll
+} = require('../controllers/session.controller');
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../controllers/twoFactor.controller');
+const { createToken, getTokens, revokeToken } = require('../controllers/token.controller');
+const {
+  getProviders,
+  getIdentities,
+  startOidcLink,
+  completeOidcLink,
+  unlinkIdentity
+} = require('../controllers/identity.controller');
+const { authenticateToken, requireSession } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
+// Account management requires a logged-in session; personal access tokens are refused
+const authenticateSession = [authenticateToken, requireSession];
+
 // Rate limiting for auth routes
 const authLimiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -18,11 +76,69 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Clients refresh routinely, so only rejected refresh tokens count towards the limit
+const refreshLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 5,
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    message: 'Too many requests from this IP, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Apply rate limiting to login and register routes
 router.post('/register', authLimiter, registerValidation, register);
 router.post('/login', authLimiter, loginValidation, login);
+router.post('/login/2fa', authLimiter, twoFactorLoginValidation, verifyTwoFactorLogin);
+router.post('/refresh', refreshLimiter, refreshTokenValidation, refresh);
+
+// Passwordless login
+router.post('/magic-link', authLimiter, magicLinkValidation, requestMagicLink);
+router.post('/magic-link/consume', authLimiter, magicLinkConsumeValidation, consumeMagicLink);
+
+// OpenID Connect login and linked identities
+router.get('/oidc/providers', getProviders);
+router.post('/oidc/:provider/authorize', authLimiter, startOidcLogin);
+router.post('/oidc/:provider/callback', authLimiter, oidcCallbackValidation, completeOidcLogin);
+router.post('/oidc/:provider/link', authenticateSession, startOidcLink);
+router.post('/oidc/:provider/link/callback', authenticateSession, oidcCallbackValidation, completeOidcLink);
+router.get('/identities', authenticateSession, getIdentities);
+router.delete('/identities/:identityId', authenticateSession, unlinkIdentity);
+
+// Password recovery
+router.post('/forgot-password', authLimiter, forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', authLimiter, resetPasswordValidation, resetPassword);
+router.get('/unlock/:token', unlockAccount);
 
-// Protected route
+// Email verification
+router.get('/verify-email/:token', verifyEmail);
+router.post('/verify-email/resend', authLimiter, authenticateSession, resendVerificationEmail);
+
+// Protected routes
 router.get('/me', authenticateToken, getCurrentUser);
+router.delete('/me', authenticateSession, deleteAccountValidation, deleteAccount);
+router.put('/password', authLimiter, authenticateSession, changePasswordValidation, changePassword);
+router.put('/email', authLimiter, authenticateSession, changeEmailValidation, changeEmail);
+router.post('/logout', authenticateSession, logout);
+router.post('/logout-all', authenticateSession, logoutAll);
+
+// Two-factor authentication
+router.post('/2fa/setup', authenticateSession, twoFactorSetupValidation, setupTwoFactor);
+router.post('/2fa/confirm', authenticateSession, twoFactorCodeValidation, confirmTwoFactor);
+router.post('/2fa/recovery-codes', authenticateSession, twoFactorRecoveryCodesValidation, regenerateRecoveryCodes);
+router.post('/2fa/disable', authenticateSession, twoFactorDisableValidation, disableTwoFactor);
+
+// Session management
+router.get('/sessions', authenticateSession, getSessions);
+router.delete('/sessions/:sessionId', authenticateSession, revokeSession);
+router.get('/activity', authenticateSession, getActivity);
+
+// Personal access tokens
+router.get('/tokens', authenticateSession, getTokens);
+router.post('/tokens', authenticateSession, personalAccessTokenValidation, createToken);
+router.delete('/tokens/:tokenId', authenticateSession, revokeToken);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const express = require('express');
-const { bookValidation, sectionValidation } = require('../utils/validator');
+const rateLimit = require('express-rate-limit');
+const { bookValidation, bookListValidation, sectionValidation, searchValidation } = require('../utils/validator');
 const { 
   getBooks,
   getBook,
@@ -12,25 +13,44 @@ const {
   updateSection,
   deleteSection
 } = require('../controllers/book.controller');
-const { authenticateToken } = require('../middleware/auth.middleware');
+const { searchBook } = require('../controllers/search.controller');
+const { authenticateToken, requireScope } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
-// All book routes require authentication
+// All book routes require authentication; personal access tokens need the route's scope
 router.use(authenticateToken);
 
+// Limit wrong vault passphrases per user and section; only requests that send a
+// passphrase and are refused with 403 count towards the limit
+const vaultUnlockLimiter = rateLimit({
+  windowMs: parseInt(process.env.VAULT_UNLOCK_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.VAULT_UNLOCK_MAX_ATTEMPTS) || 5,
+  keyGenerator: (req) => `${req.user._id}:${req.params.sectionId}`,
+  skip: (req) => !req.get('X-Vault-Passphrase'),
+  requestWasSuccessful: (req, res) => res.statusCode !== 403,
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    message: 'Too many wrong vault passphrases, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Book routes
-router.get('/', getBooks);
-router.get('/:bookId', getBook);
-router.post('/', bookValidation, createBook);
-router.put('/:bookId', bookValidation, updateBook);
-router.delete('/:bookId', deleteBook);
+router.get('/', requireScope('books:read'), bookListValidation, getBooks);
+router.get('/:bookId', requireScope('books:read'), getBook);
+router.post('/', requireScope('books:write'), bookValidation, createBook);
+router.put('/:bookId', requireScope('books:write'), bookValidation, updateBook);
+router.delete('/:bookId', requireScope('books:write'), deleteBook);
+router.get('/:bookId/search', requireScope('sections:read'), searchValidation, searchBook);
 
 // Section routes
-router.get('/:bookId/sections', getBookSections);
-router.get('/:bookId/sections/:sectionId', getSection);
-router.post('/:bookId/sections', sectionValidation, addSection);
-router.put('/:bookId/sections/:sectionId', sectionValidation, updateSection);
-router.delete('/:bookId/sections/:sectionId', deleteSection);
+router.get('/:bookId/sections', requireScope('sections:read'), getBookSections);
+router.get('/:bookId/sections/:sectionId', requireScope('sections:read'), vaultUnlockLimiter, getSection);
+router.post('/:bookId/sections', requireScope('sections:write'), sectionValidation, addSection);
+router.put('/:bookId/sections/:sectionId', requireScope('sections:write'), vaultUnlockLimiter, sectionValidation, updateSection);
+router.delete('/:bookId/sections/:sectionId', requireScope('sections:write'), deleteSection);
 
 module.exports = router; 
\ No newline at end of file
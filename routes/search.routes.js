@@ -0,0 +1,11 @@
+const express = require('express');
+const { searchValidation } = require('../utils/validator');
+const { searchAll } = require('../controllers/search.controller');
+const { authenticateToken, requireScope } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Searching reads stories, so personal access tokens need the sections:read scope
+router.get('/', authenticateToken, requireScope('sections:read'), searchValidation, searchAll);
+
+module.exports = router;
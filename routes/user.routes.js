@@ -0,0 +1,15 @@
+const express = require('express');
+const { profileValidation } = require('../utils/validator');
+const { getProfile, updateProfile } = require('../controllers/user.controller');
+const { authenticateToken, requireSession } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// All user routes require a logged-in session
+router.use(authenticateToken, requireSession);
+
+// Profile routes
+router.get('/me/profile', getProfile);
+router.put('/me/profile', profileValidation, updateProfile);
+
+module.exports = router;
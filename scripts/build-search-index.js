@@ -0,0 +1,49 @@
+// Build the search index of sections written before story search existed:
+//   node scripts/build-search-index.js
+// Only sections without an index are processed, so it can be run again at any time.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Section = require('../models/section.model');
+const encryptionService = require('../services/encryption.service');
+const dataKeyService = require('../services/dataKey.service');
+const blindIndexService = require('../services/blindIndex.service');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Data key of each book's owner, looked up once per book
+  const dataKeys = new Map();
+
+  let indexed = 0;
+  let failed = 0;
+
+  const sections = Section.find({ searchIndex: { $exists: false }, story: { $ne: '' } })
+    .select('story book')
+    .lean()
+    .cursor();
+
+  for await (const section of sections) {
+    try {
+      const dataKey = await dataKeyService.getBookOwnerDataKey(section.book, dataKeys);
+      const searchIndex = blindIndexService.buildIndex(encryptionService.decrypt(section.story, dataKey), dataKey);
+      // Skip sections edited meanwhile; saving them built their index already
+      await Section.updateOne({ _id: section._id, story: section.story }, { $set: { searchIndex } });
+      indexed += 1;
+    } catch (error) {
+      console.error(`Section ${section._id}: ${error.message}`);
+      failed += 1;
+    }
+  }
+
+  console.log(`${indexed} sections indexed, ${failed} failed`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
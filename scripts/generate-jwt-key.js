@@ -0,0 +1,43 @@
+// Generate a JWT signing key in JWT_KEYS_DIR, e.g. when rotating keys:
+//   node scripts/generate-jwt-key.js 2026-10 ES256
+// Publish the new key (it appears in /.well-known/jwks.json once the file exists),
+// then point JWT_SIGNING_KEY_ID at it. Remove the old key file once its tokens have expired.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_OPTIONS = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }]
+};
+
+const run = () => {
+  const [kid, alg = 'RS256'] = process.argv.slice(2);
+  const dir = process.env.JWT_KEYS_DIR;
+
+  if (!kid || !/^[A-Za-z0-9._-]+$/.test(kid) || !KEY_OPTIONS[alg]) {
+    console.error(`Usage: node scripts/generate-jwt-key.js <kid> [${Object.keys(KEY_OPTIONS).join('|')}]`);
+    process.exit(1);
+  }
+  if (!dir) {
+    console.error('JWT_KEYS_DIR is not set');
+    process.exit(1);
+  }
+
+  const file = path.join(dir, `${kid}.pem`);
+  if (fs.existsSync(file)) {
+    console.error(`A key with id ${kid} already exists`);
+    process.exit(1);
+  }
+
+  const [type, options] = KEY_OPTIONS[alg];
+  const { privateKey } = crypto.generateKeyPairSync(type, options);
+
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+  console.log(`Created ${alg} key ${kid} in ${file}`);
+};
+
+run();
@@ -0,0 +1,142 @@
+// Minimal OpenID Connect issuer for local development and tests. It signs users in
+// without asking for credentials, so never expose it outside a development machine:
+//   OIDC_DEV_PORT=4010 node scripts/oidc-dev-issuer.js
+// then configure the API with OIDC_PROVIDERS=dev, OIDC_DEV_ISSUER=http://127.0.0.1:4010,
+// OIDC_DEV_CLIENT_ID=mystory and OIDC_DEV_CLIENT_SECRET=dev-secret.
+// Pick the signed-in user with the login_hint parameter of the authorization URL.
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CODE_TTL_MS = 60 * 1000;
+
+const createDevIssuer = ({ clientId = 'mystory', clientSecret = 'dev-secret', users = [] } = {}) => {
+  const app = express();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'dev-1';
+  const codes = new Map();
+  let issuer = null;
+
+  const findUser = (loginHint) => {
+    const email = loginHint || (users[0] && users[0].email);
+    return users.find(user => user.email === email) || {
+      sub: crypto.createHash('sha256').update(String(email)).digest('hex').substring(0, 24),
+      email,
+      email_verified: true
+    };
+  };
+
+  const tokenError = (res, error, description) => res.status(400).json({ error, error_description: description });
+
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  // Approves every request immediately and redirects back with a code
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, response_type, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+    if (client_id !== clientId || response_type !== 'code' || !redirect_uri) {
+      return res.status(400).send('Invalid authorization request');
+    }
+    if (!code_challenge || code_challenge_method !== 'S256') {
+      return res.status(400).send('PKCE with S256 is required');
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      redirectUri: redirect_uri,
+      codeChallenge: code_challenge,
+      nonce,
+      user: findUser(req.query.login_hint),
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const location = new URL(redirect_uri);
+    location.searchParams.set('code', code);
+    if (state) location.searchParams.set('state', state);
+    res.redirect(location.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, code_verifier } = req.body;
+
+    let id = req.body.client_id;
+    let secret = req.body.client_secret;
+    const authorization = req.get('Authorization') || '';
+    if (authorization.startsWith('Basic ')) {
+      [id, secret] = Buffer.from(authorization.substring(6), 'base64').toString().split(':').map(decodeURIComponent);
+    }
+    if (id !== clientId || (clientSecret && secret !== clientSecret)) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(code);
+    codes.delete(code);
+    if (grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+      return tokenError(res, 'invalid_grant', 'Unknown or expired code');
+    }
+    if (grant.redirectUri !== redirect_uri) {
+      return tokenError(res, 'invalid_grant', 'Redirect URI mismatch');
+    }
+
+    const challenge = crypto.createHash('sha256').update(String(code_verifier)).digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return tokenError(res, 'invalid_grant', 'PKCE verification failed');
+    }
+
+    const { sub, email, email_verified, name } = grant.user;
+    const idToken = jwt.sign(
+      { sub, email, email_verified, name, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  // Resolves once listening; the issuer URL includes the actual port
+  const listen = (port = 0) => new Promise((resolve) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      issuer = `http://127.0.0.1:${server.address().port}`;
+      resolve({ issuer, server, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+
+  return { app, listen };
+};
+
+if (require.main === module) {
+  const devIssuer = createDevIssuer({
+    clientId: process.env.OIDC_DEV_CLIENT_ID || 'mystory',
+    clientSecret: process.env.OIDC_DEV_CLIENT_SECRET || 'dev-secret'
+  });
+
+  devIssuer.listen(parseInt(process.env.OIDC_DEV_PORT) || 4010).then(({ issuer }) => {
+    console.log(`Development OIDC issuer listening at ${issuer}`);
+  });
+}
+
+module.exports = {
+  createDevIssuer
+};
@@ -0,0 +1,44 @@
+// Re-encrypt all stored ciphertext with the active key (AES_ACTIVE_KEY_ID):
+//   node scripts/reencrypt.js [--batch-size=100] [--dry-run]
+// Safe to interrupt and run again; already migrated records are skipped.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const encryptionService = require('../services/encryption.service');
+const reencryptionService = require('../services/reencryption.service');
+
+const parseArgs = (args) => ({
+  batchSize: parseInt((args.find(arg => arg.startsWith('--batch-size=')) || '').split('=')[1]) || 100,
+  dryRun: args.includes('--dry-run')
+});
+
+const run = async () => {
+  const { batchSize, dryRun } = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  console.log(`Re-encrypting stories with their owners' data keys and other fields with key ${encryptionService.getActiveKeyId()}${dryRun ? ' (dry run)' : ''}`);
+
+  const results = await reencryptionService.run({
+    batchSize,
+    dryRun,
+    onProgress: ({ target, processed, total, failed }) => {
+      const percent = total === 0 ? 100 : Math.floor((processed / total) * 100);
+      console.log(`${target}: ${processed}/${total} (${percent}%)${failed ? `, ${failed} failed` : ''}`);
+    }
+  });
+
+  for (const { target, total, reencrypted, failed } of results) {
+    console.log(`${target}: ${reencrypted} of ${total} re-encrypted, ${failed} failed`);
+  }
+
+  if (results.some(result => result.failed > 0)) {
+    process.exitCode = 1;
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,31 @@
+// Assign a role to a user, e.g. to bootstrap the first admin:
+//   node scripts/set-role.js admin@example.com admin
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !User.ROLES.includes(role)) {
+    console.error(`Usage: node scripts/set-role.js <email> <${User.ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true });
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.email} is now ${user.role}`);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -6,10 +6,15 @@ const helmet = require('helmet');
 const expressSanitizer = require('express-sanitizer');
 const rateLimit = require('express-rate-limit');
 const errorMiddleware = require('./middleware/error.middleware');
+const jwtKeyset = require('./services/jwtKeyset.service');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const bookRoutes = require('./routes/book.routes');
+const userRoutes = require('./routes/user.routes');
+const adminRoutes = require('./routes/admin.routes');
+const searchRoutes = require('./routes/search.routes');
+const wellKnownRoutes = require('./routes/wellKnown.routes');
 
 // Initialize express app
 const app = express();
@@ -62,9 +67,15 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public discovery documents
+app.use('/.well-known', wellKnownRoutes);
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/books', bookRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/search', searchRoutes);
 
 // 404 handler
 app.use(errorMiddleware.notFound);
@@ -88,6 +99,11 @@ const connectDB = async () => {
 
 // Start server only if not in test environment
 if (process.env.NODE_ENV !== 'test') {
+  // Fail fast on a misconfigured signing keyset
+  if (jwtKeyset.isEnabled()) {
+    jwtKeyset.load();
+  }
+
   connectDB();
   
   const PORT = process.env.PORT || 3000;
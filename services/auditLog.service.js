@@ -0,0 +1,35 @@
+const AuthEvent = require('../models/authEvent.model');
+const logger = require('../utils/logger');
+
+class AuditLogService {
+  // Record an auth event. Failures are logged, never thrown, so auditing cannot break a login.
+  async record(type, req, { user = null, email = null, success = true, metadata = {} } = {}) {
+    try {
+      const userAgent = (req && req.get && req.get('User-Agent')) || '';
+
+      await AuthEvent.create({
+        user: user ? user._id || user : null,
+        email: email || (user && user.email) || null,
+        type,
+        success,
+        ip: (req && req.ip) || '',
+        userAgent: userAgent.substring(0, 500),
+        metadata
+      });
+    } catch (error) {
+      logger.error('Failed to record auth event', { type, error: error.message });
+    }
+  }
+
+  async list(filter, { skip = 0, limit = 20 } = {}) {
+    const total = await AuthEvent.countDocuments(filter);
+    const events = await AuthEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    return { events, total };
+  }
+}
+
+module.exports = new AuditLogService();
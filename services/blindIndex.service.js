@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+// Tokens are words of letters and digits, compared without case or accents
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 64;
+
+// Index entries are truncated HMACs: long enough to make collisions negligible
+const INDEX_BYTES = 16;
+
+// Characters of context shown on each side of the first match
+const SNIPPET_CONTEXT = 80;
+
+const normalize = (word) => word
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase();
+
+// Blind indexes let encrypted stories be searched: each distinct word is stored as a keyed
+// hash, and a query is hashed the same way. The key is derived from the owner's data key,
+// so the same word gives different entries for different users and shredding the data
+// key makes the index meaningless too. The index still reveals which sections share words.
+class BlindIndexService {
+  tokenize(text) {
+    const tokens = new Set();
+    for (const [word] of String(text || '').matchAll(WORD_PATTERN)) {
+      const token = normalize(word);
+      if (token.length >= MIN_TOKEN_LENGTH && token.length <= MAX_TOKEN_LENGTH) {
+        tokens.add(token);
+      }
+    }
+    return [...tokens];
+  }
+
+  deriveIndexKey(dataKey) {
+    return Buffer.from(crypto.hkdfSync('sha256', dataKey.key, Buffer.alloc(0), 'mystory blind index', 32));
+  }
+
+  hashTokens(tokens, dataKey) {
+    const indexKey = this.deriveIndexKey(dataKey);
+    return tokens.map(token => crypto
+      .createHmac('sha256', indexKey)
+      .update(token)
+      .digest()
+      .subarray(0, INDEX_BYTES)
+      .toString('base64url'));
+  }
+
+  // Index entries for a story, stored on its section
+  buildIndex(text, dataKey) {
+    return this.hashTokens(this.tokenize(text), dataKey);
+  }
+
+  // Entries a section must all contain to match the query
+  queryIndex(query, dataKey) {
+    return this.hashTokens(this.tokenize(query), dataKey);
+  }
+
+  // Excerpt around the first matching word, with the character ranges of every
+  // matching word in it so clients can highlight them
+  buildSnippet(text, query) {
+    const terms = new Set(this.tokenize(query));
+    const matches = [];
+    for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+      if (terms.has(normalize(match[0]))) {
+        matches.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+
+    if (matches.length === 0) {
+      return { snippet: String(text || '').substring(0, SNIPPET_CONTEXT * 2), highlights: [] };
+    }
+
+    const from = Math.max(matches[0].start - SNIPPET_CONTEXT, 0);
+    const to = Math.min(matches[0].end + SNIPPET_CONTEXT, text.length);
+    const prefix = from > 0 ? '…' : '';
+    const suffix = to < text.length ? '…' : '';
+
+    return {
+      snippet: `${prefix}${text.substring(from, to)}${suffix}`,
+      highlights: matches
+        .filter(match => match.start >= from && match.end <= to)
+        .map(match => ({
+          start: match.start - from + prefix.length,
+          end: match.end - from + prefix.length
+        }))
+    };
+  }
+}
+
+module.exports = new BlindIndexService();
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const Book = require('../models/book.model');
+const LocalKeyProvider = require('./keyProviders/local.provider');
+
+// Key providers implement `async wrapKey(dataKey, context)` returning a string and
+// `async unwrapKey(wrappedKey, context)` returning the key. The context (the user id)
+// is bound to the wrapped key, like a KMS encryption context.
+const providers = {
+  local: () => new LocalKeyProvider()
+};
+
+// Every user gets their own data key for their content. Only the wrapped form is stored;
+// removing it (shredding) makes everything encrypted with it unrecoverable.
+class DataKeyService {
+  constructor() {
+    this.provider = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      const name = process.env.KEY_PROVIDER || 'local';
+      if (!providers[name]) {
+        throw new Error(`Unknown key provider: ${name}`);
+      }
+      this.provider = providers[name]();
+    }
+    return this.provider;
+  }
+
+  // Replace the provider, e.g. with one backed by a cloud KMS
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  // The user's data key as { id, key }, created on first use
+  async getDataKey(userId) {
+    const user = await User.findById(userId).select('dataKey');
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.dataKey && user.dataKey.wrappedKey) {
+      return this.unwrap(userId, user.dataKey);
+    }
+    return this.createDataKey(userId);
+  }
+
+  // Data key of the user owning a book. Pass the same cache to look each book up only once.
+  getBookOwnerDataKey(bookId, cache = new Map()) {
+    const id = String(bookId);
+    if (!cache.has(id)) {
+      cache.set(id, Book.findById(id).select('user').lean().then((book) => {
+        if (!book) {
+          throw new Error('Book not found');
+        }
+        return this.getDataKey(book.user);
+      }));
+    }
+    return cache.get(id);
+  }
+
+  async createDataKey(userId) {
+    const key = crypto.randomBytes(32);
+    const provider = this.getProvider();
+    const dataKey = {
+      keyId: crypto.randomBytes(8).toString('hex'),
+      provider: provider.name,
+      wrappedKey: await provider.wrapKey(key, String(userId)),
+      createdAt: new Date()
+    };
+
+    // Only store it if no concurrent request created one first
+    const updated = await User.findOneAndUpdate(
+      { _id: userId, 'dataKey.wrappedKey': null },
+      { $set: { dataKey } },
+      { new: true }
+    ).select('dataKey');
+
+    if (!updated) {
+      const user = await User.findById(userId).select('dataKey');
+      if (!user || !user.dataKey || !user.dataKey.wrappedKey) {
+        throw new Error('User not found');
+      }
+      return this.unwrap(userId, user.dataKey);
+    }
+
+    return { id: dataKey.keyId, key };
+  }
+
+  async unwrap(userId, { keyId, provider, wrappedKey }) {
+    if (provider !== this.getProvider().name) {
+      throw new Error(`Data key is held by key provider "${provider}"`);
+    }
+    return { id: keyId, key: await this.getProvider().unwrapKey(wrappedKey, String(userId)) };
+  }
+
+  // Crypto-shredding: destroy the wrapped key so the user's content can no longer be decrypted
+  async shred(userId) {
+    await User.updateOne({ _id: userId }, { $unset: { dataKey: 1 } });
+  }
+}
+
+module.exports = new DataKeyService();
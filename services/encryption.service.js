@@ -1,41 +1,286 @@
 const crypto = require('crypto');
+const zlib = require('zlib');
+
+// Ciphertext envelope: <version>.<key id>.<nonce>.<auth tag>.<data>, each part base64url.
+// v4 is encrypted with a key from the keyring, v5 with a user's data key (the key id is the
+// data key id); their plaintext starts with a byte naming its compression (see CODECS).
+// v2 and v3 are the same without compression and are only read. Anything without a version
+// prefix is legacy AES-256-CBC hex encrypted with AES_IV.
+const ENVELOPES = {
+  v2: { dataKey: false, compressed: false },
+  v3: { dataKey: true, compressed: false },
+  v4: { dataKey: false, compressed: true },
+  v5: { dataKey: true, compressed: true }
+};
+const ENVELOPE_VERSION = 'v4';
+const DATA_KEY_ENVELOPE_VERSION = 'v5';
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]*$/;
+
+// Whether a base64url part decodes to exactly `length` bytes
+const isEncodedBytes = (part, length) => BASE64URL_PATTERN.test(part) && Buffer.from(part, 'base64url').length === length;
+
+const CODECS = {
+  NONE: 0,
+  BROTLI: 1
+};
+
+// Below this many bytes compression rarely pays for itself
+const COMPRESSION_MIN_BYTES = 256;
+
+// Brotli at a mid quality: close to the best ratio for prose, fast enough for long chapters
+const compress = (plaintext) => {
+  if (plaintext.length >= COMPRESSION_MIN_BYTES) {
+    const compressed = zlib.brotliCompressSync(plaintext, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+        [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: plaintext.length
+      }
+    });
+    if (compressed.length < plaintext.length) {
+      return Buffer.concat([Buffer.from([CODECS.BROTLI]), compressed]);
+    }
+  }
+  return Buffer.concat([Buffer.from([CODECS.NONE]), plaintext]);
+};
+
+// Reasons a ciphertext cannot be decrypted, set as `code` on decryption errors
+const DECRYPTION_ERROR_CODES = {
+  MALFORMED: 'MALFORMED_CIPHERTEXT',
+  UNSUPPORTED_COMPRESSION: 'UNSUPPORTED_COMPRESSION',
+  UNKNOWN_KEY: 'UNKNOWN_KEY',
+  DATA_KEY_UNAVAILABLE: 'DATA_KEY_UNAVAILABLE',
+  LEGACY_KEY_UNAVAILABLE: 'LEGACY_KEY_UNAVAILABLE',
+  INTEGRITY: 'INTEGRITY_CHECK_FAILED'
+};
+
+// Decryption errors carry a code and, when known, the id of the key the ciphertext names
+const decryptionError = (message, code, keyId = null) => {
+  const error = new Error(message);
+  error.name = 'DecryptionError';
+  error.code = code;
+  error.keyId = keyId;
+  return error;
+};
+
+// Parse AES_KEYS, e.g. "k1:<32 chars>,k2:<32 chars>", in the order given
+const parseKeyring = (value) => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.indexOf(':');
+    return [entry.substring(0, separator), entry.substring(separator + 1)];
+  });
 
 class EncryptionService {
   constructor() {
-    this.algorithm = 'aes-256-cbc';
+    this.algorithm = 'aes-256-gcm';
+    this.legacyAlgorithm = 'aes-256-cbc';
     this.secretKey = process.env.AES_SECRET_KEY;
     this.iv = process.env.AES_IV;
-    
-    if (!this.secretKey || this.secretKey.length !== 32) {
-      throw new Error('AES_SECRET_KEY must be exactly 32 characters long');
+    this.keys = new Map();
+
+    if (this.secretKey !== undefined || !process.env.AES_KEYS) {
+      if (!this.secretKey || this.secretKey.length !== 32) {
+        throw new Error('AES_SECRET_KEY must be exactly 32 characters long');
+      }
+      this.addKey(process.env.AES_KEY_ID || 'k1', this.secretKey);
+    }
+
+    // Older keys stay in the keyring so existing ciphertext can still be read
+    for (const [keyId, key] of parseKeyring(process.env.AES_KEYS || '')) {
+      if (!key || key.length !== 32) {
+        throw new Error(`Encryption key "${keyId}" must be exactly 32 characters long`);
+      }
+      this.addKey(keyId, key);
     }
-    
-    if (!this.iv || this.iv.length !== 16) {
+
+    this.activeKeyId = process.env.AES_ACTIVE_KEY_ID || [...this.keys.keys()].pop();
+    if (!this.keys.has(this.activeKeyId)) {
+      throw new Error(`AES_ACTIVE_KEY_ID "${this.activeKeyId}" is not in the keyring`);
+    }
+
+    // The static IV is only needed to read data written before the switch to GCM
+    if (this.iv && this.iv.length !== 16) {
       throw new Error('AES_IV must be exactly 16 characters long');
     }
   }
 
-  encrypt(text) {
+  addKey(keyId, key) {
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      throw new Error(`Encryption key id "${keyId}" may only contain letters, digits, "_" and "-"`);
+    }
+    if (this.keys.has(keyId)) {
+      throw new Error(`Encryption key id "${keyId}" is configured twice`);
+    }
+    this.keys.set(keyId, Buffer.from(key));
+  }
+
+  getActiveKeyId() {
+    return this.activeKeyId;
+  }
+
+  // Envelope version of the ciphertext, or null for legacy ciphertext
+  getVersion(encryptedText) {
+    const version = String(encryptedText).split('.')[0];
+    return Object.prototype.hasOwnProperty.call(ENVELOPES, version) ? version : null;
+  }
+
+  isLegacy(encryptedText) {
+    return this.getVersion(encryptedText) === null;
+  }
+
+  // Whether the value has the shape of an envelope: five parts, a known version, a key id,
+  // and a nonce and tag of the right length. Text that only starts like one, such as the
+  // title "v2. The Return", does not.
+  isEnvelope(value) {
+    const parts = String(value).split('.');
+    if (parts.length !== 5 || this.getVersion(value) === null) {
+      return false;
+    }
+    const [, keyId, nonce, tag, data] = parts;
+    return KEY_ID_PATTERN.test(keyId)
+      && isEncodedBytes(nonce, NONCE_LENGTH)
+      && isEncodedBytes(tag, TAG_LENGTH)
+      && BASE64URL_PATTERN.test(data);
+  }
+
+  // Whether the ciphertext was encrypted with a user's data key rather than the keyring
+  usesDataKey(encryptedText) {
+    const version = this.getVersion(encryptedText);
+    return Boolean(version && ENVELOPES[version].dataKey);
+  }
+
+  // Key id embedded in the envelope, or null for legacy ciphertext
+  getKeyId(encryptedText) {
+    return this.isLegacy(encryptedText) ? null : encryptedText.split('.')[1];
+  }
+
+  // Whether the ciphertext was written with anything but the active key in the current envelope
+  needsReencryption(encryptedText) {
+    return this.getVersion(encryptedText) !== ENVELOPE_VERSION || this.getKeyId(encryptedText) !== this.activeKeyId;
+  }
+
+  // Encrypt with the active keyring key, or with a data key ({ id, key }) when given
+  encrypt(text, dataKey = null) {
     try {
-      const cipher = crypto.createCipheriv(this.algorithm, Buffer.from(this.secretKey), Buffer.from(this.iv));
-      let encrypted = cipher.update(text, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      return encrypted;
+      const nonce = crypto.randomBytes(NONCE_LENGTH);
+      const header = dataKey
+        ? `${DATA_KEY_ENVELOPE_VERSION}.${dataKey.id}`
+        : `${ENVELOPE_VERSION}.${this.activeKeyId}`;
+      const key = dataKey ? dataKey.key : this.keys.get(this.activeKeyId);
+
+      const cipher = crypto.createCipheriv(this.algorithm, key, nonce);
+      // Authenticate the header too, so the key id cannot be swapped
+      cipher.setAAD(Buffer.from(header));
+      const data = Buffer.concat([cipher.update(compress(Buffer.from(text, 'utf8'))), cipher.final()]);
+      const tag = cipher.getAuthTag();
+
+      return [header, nonce.toString('base64url'), tag.toString('base64url'), data.toString('base64url')].join('.');
     } catch (error) {
       throw new Error(`Encryption failed: ${error.message}`);
     }
   }
 
-  decrypt(encryptedText) {
+  // Keyring and legacy ciphertext decrypt without a data key, so data written before
+  // per-user keys stays readable
+  // Throws a DecryptionError (see DECRYPTION_ERROR_CODES) when the ciphertext cannot be read
+  decrypt(encryptedText, dataKey = null) {
+    if (this.isLegacy(encryptedText)) {
+      return this.decryptLegacy(encryptedText);
+    }
+
+    const parts = encryptedText.split('.');
+    if (parts.length !== 5) {
+      throw decryptionError('Decryption failed: Malformed ciphertext envelope', DECRYPTION_ERROR_CODES.MALFORMED);
+    }
+
+    const [version, keyId, nonce, tag, data] = parts;
+    const key = this.getDecryptionKey(version, keyId, dataKey);
+
+    let decipher;
     try {
-      const decipher = crypto.createDecipheriv(this.algorithm, Buffer.from(this.secretKey), Buffer.from(this.iv));
+      // A fixed tag length, so a truncated tag cannot be used to forge ciphertext
+      decipher = crypto.createDecipheriv(this.algorithm, key, Buffer.from(nonce, 'base64url'), { authTagLength: TAG_LENGTH });
+      decipher.setAAD(Buffer.from(`${version}.${keyId}`));
+      decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    } catch (error) {
+      throw decryptionError(`Decryption failed: ${error.message}`, DECRYPTION_ERROR_CODES.MALFORMED, keyId);
+    }
+
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]);
+    } catch (error) {
+      // The authentication tag did not match: the data, header or key is wrong
+      throw decryptionError('Decryption failed: Integrity check failed', DECRYPTION_ERROR_CODES.INTEGRITY, keyId);
+    }
+
+    return ENVELOPES[version].compressed
+      ? this.decompress(plaintext, keyId).toString('utf8')
+      : plaintext.toString('utf8');
+  }
+
+  decompress(plaintext, keyId) {
+    const codec = plaintext[0];
+    if (codec === CODECS.NONE) {
+      return plaintext.subarray(1);
+    }
+    if (codec === CODECS.BROTLI) {
+      try {
+        return zlib.brotliDecompressSync(plaintext.subarray(1));
+      } catch (error) {
+        throw decryptionError(`Decryption failed: Corrupt compressed data (${error.message})`, DECRYPTION_ERROR_CODES.MALFORMED, keyId);
+      }
+    }
+    throw decryptionError(`Decryption failed: Unsupported compression ${codec}`, DECRYPTION_ERROR_CODES.UNSUPPORTED_COMPRESSION, keyId);
+  }
+
+  getDecryptionKey(version, keyId, dataKey) {
+    if (ENVELOPES[version].dataKey) {
+      // A different id means the data key was shredded and replaced
+      if (!dataKey || dataKey.id !== keyId) {
+        throw decryptionError(`Decryption failed: Data key "${keyId}" is not available`, DECRYPTION_ERROR_CODES.DATA_KEY_UNAVAILABLE, keyId);
+      }
+      return dataKey.key;
+    }
+
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw decryptionError(`Decryption failed: Unknown encryption key "${keyId}"`, DECRYPTION_ERROR_CODES.UNKNOWN_KEY, keyId);
+    }
+    return key;
+  }
+
+  // Legacy data was always encrypted with AES_SECRET_KEY
+  decryptLegacy(encryptedText) {
+    if (!this.secretKey) {
+      throw decryptionError('Decryption failed: AES_SECRET_KEY is required to read legacy ciphertext', DECRYPTION_ERROR_CODES.LEGACY_KEY_UNAVAILABLE);
+    }
+    if (!this.iv) {
+      throw decryptionError('Decryption failed: AES_IV is required to read legacy ciphertext', DECRYPTION_ERROR_CODES.LEGACY_KEY_UNAVAILABLE);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(this.legacyAlgorithm, Buffer.from(this.secretKey), Buffer.from(this.iv));
       let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
       decrypted += decipher.final('utf8');
       return decrypted;
     } catch (error) {
-      throw new Error(`Decryption failed: ${error.message}`);
+      // CBC has no authentication, so bad padding is all there is to go on
+      throw decryptionError(`Decryption failed: ${error.message}`, DECRYPTION_ERROR_CODES.MALFORMED);
     }
   }
+
+  // Decrypt with whichever key wrote the ciphertext and encrypt again with the active key,
+  // or with the given data key
+  reencrypt(encryptedText, dataKey = null) {
+    return this.encrypt(this.decrypt(encryptedText, dataKey), dataKey);
+  }
 }
 
-module.exports = new EncryptionService(); 
\ No newline at end of file
+module.exports = new EncryptionService();
@@ -1,21 +1,86 @@
 require('dotenv').config({ path: process.env.NODE_ENV === 'test' ? '.env.test' : '.env' });
 const jwt = require('jsonwebtoken');
+const jwtKeyset = require('./jwtKeyset.service');
 
 class JWTService {
-  generateToken(userId) {
-    return jwt.sign(
-      { userId },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+  // Sign with the active key of the keyset, or the shared secret when no keyset is configured
+  sign(payload, expiresIn) {
+    if (jwtKeyset.isEnabled()) {
+      const key = jwtKeyset.getSigningKey();
+      return jwt.sign(payload, key.privateKey, { algorithm: key.alg, keyid: key.kid, expiresIn });
+    }
+
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
+  }
+
+  // Pick the verification key from the token's kid. Tokens without a kid were signed
+  // with JWT_SECRET and are accepted while it is still set, to allow migrating to a keyset.
+  verify(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new Error('Malformed token');
+    }
+
+    const { kid } = decoded.header;
+    if (kid) {
+      const key = jwtKeyset.isEnabled() && jwtKeyset.getVerificationKey(kid);
+      if (!key) {
+        throw new Error('Unknown signing key');
+      }
+      return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+    }
+
+    if (!process.env.JWT_SECRET) {
+      throw new Error('Unknown signing key');
+    }
+    return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+  }
+
+  // Tokens issued for a session carry its id so the session can be revoked
+  generateToken(userId, sessionId) {
+    const payload = { userId };
+    if (sessionId) {
+      payload.sid = sessionId.toString();
+    }
+
+    return this.sign(payload, process.env.JWT_EXPIRES_IN || '15m');
   }
 
   verifyToken(token) {
+    let decoded;
     try {
-      return jwt.verify(token, process.env.JWT_SECRET);
+      decoded = this.verify(token);
     } catch (error) {
       throw new Error('Invalid or expired token');
     }
+
+    // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+    if (decoded.purpose) {
+      throw new Error('Invalid or expired token');
+    }
+    return decoded;
+  }
+
+  // Short-lived token proving the password check passed, pending a second factor
+  generateChallengeToken(userId) {
+    return this.sign(
+      { userId, purpose: '2fa' },
+      process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
+    );
+  }
+
+  verifyChallengeToken(token) {
+    let decoded;
+    try {
+      decoded = this.verify(token);
+    } catch (error) {
+      throw new Error('Invalid or expired challenge token');
+    }
+
+    if (decoded.purpose !== '2fa') {
+      throw new Error('Invalid or expired challenge token');
+    }
+    return decoded;
   }
 
   extractTokenFromHeader(authHeader) {
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KID_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// Only RSA and P-256 EC keys are supported
+const algorithmFor = (key) => {
+  if (key.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+  return null;
+};
+
+const readKey = (file) => {
+  const pem = fs.readFileSync(file, 'utf8');
+
+  try {
+    const privateKey = crypto.createPrivateKey(pem);
+    return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  } catch (error) {
+    // Retired keys may be kept as public keys only
+    return { privateKey: null, publicKey: crypto.createPublicKey(pem) };
+  }
+};
+
+// Keys are read from JWT_KEYS_DIR, one `<kid>.pem` file per key. The key named by
+// JWT_SIGNING_KEY_ID signs new tokens; every other key only verifies, so tokens
+// signed before a rotation stay valid until they expire.
+class JwtKeysetService {
+  constructor() {
+    this.cache = null;
+  }
+
+  isEnabled() {
+    return Boolean(process.env.JWT_KEYS_DIR);
+  }
+
+  load() {
+    const dir = process.env.JWT_KEYS_DIR;
+    const signingKid = process.env.JWT_SIGNING_KEY_ID || null;
+
+    if (this.cache && this.cache.dir === dir && this.cache.signingKid === signingKid) {
+      return this.cache;
+    }
+
+    const keys = new Map();
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.pem')).sort();
+
+    for (const file of files) {
+      const kid = path.basename(file, '.pem');
+      if (!KID_PATTERN.test(kid)) {
+        throw new Error(`Invalid JWT key id "${kid}": use letters, digits, ".", "_" or "-"`);
+      }
+
+      const { privateKey, publicKey } = readKey(path.join(dir, file));
+      const alg = algorithmFor(publicKey);
+      if (!alg) {
+        throw new Error(`Unsupported JWT key "${kid}": use an RSA or P-256 EC key`);
+      }
+
+      keys.set(kid, { kid, alg, privateKey, publicKey });
+    }
+
+    const signingKeys = [...keys.values()].filter(key => key.privateKey);
+    const signingKey = signingKid
+      ? signingKeys.find(key => key.kid === signingKid)
+      : signingKeys.length === 1 && signingKeys[0];
+
+    if (!signingKey) {
+      throw new Error('JWT_SIGNING_KEY_ID must name a private key in JWT_KEYS_DIR');
+    }
+
+    this.cache = { dir, signingKid, keys, signingKey };
+    return this.cache;
+  }
+
+  // Forget loaded keys, e.g. after adding or retiring a key file
+  reload() {
+    this.cache = null;
+    return this.load();
+  }
+
+  getSigningKey() {
+    return this.load().signingKey;
+  }
+
+  getVerificationKey(kid) {
+    return this.load().keys.get(kid) || null;
+  }
+
+  // Public keys in JWK Set format for services that verify tokens themselves
+  getJwks() {
+    if (!this.isEnabled()) {
+      return { keys: [] };
+    }
+
+    const keys = [...this.load().keys.values()].map(key => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }));
+
+    return { keys };
+  }
+}
+
+module.exports = new JwtKeysetService();
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MASTER_KEY_FILE = path.join(__dirname, '..', '..', 'keys', 'master.key');
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Wraps data keys with a master key kept in a local file (32 random bytes, base64).
+// Wrapped keys look like <master key id>.<nonce>.<auth tag>.<data>; the master key id
+// is a fingerprint of the key, so data keys wrapped with another master key are detected.
+class LocalKeyProvider {
+  constructor(
+    keyFile = process.env.LOCAL_MASTER_KEY_FILE || DEFAULT_MASTER_KEY_FILE,
+    { autoCreate = process.env.LOCAL_MASTER_KEY_AUTOCREATE === 'true' } = {}
+  ) {
+    this.name = 'local';
+    this.keyFile = keyFile;
+    this.autoCreate = autoCreate;
+    this.masterKey = null;
+  }
+
+  // A missing master key is only created when asked to. Creating one by accident, e.g. on
+  // an instance without the key file mounted, would leave every existing data key unreadable.
+  loadMasterKey() {
+    if (this.masterKey) {
+      return this.masterKey;
+    }
+
+    if (!fs.existsSync(this.keyFile)) {
+      if (!this.autoCreate) {
+        throw new Error(`Master key file ${this.keyFile} not found; set LOCAL_MASTER_KEY_AUTOCREATE=true to create a new one`);
+      }
+      fs.mkdirSync(path.dirname(this.keyFile), { recursive: true });
+      fs.writeFileSync(this.keyFile, `${crypto.randomBytes(32).toString('base64')}\n`, { mode: 0o600, flag: 'wx' });
+    }
+
+    const key = Buffer.from(fs.readFileSync(this.keyFile, 'utf8').trim(), 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Master key in ${this.keyFile} must be 32 bytes, base64 encoded`);
+    }
+
+    this.masterKey = {
+      id: crypto.createHash('sha256').update(key).digest('hex').substring(0, 16),
+      key
+    };
+    return this.masterKey;
+  }
+
+  async wrapKey(dataKey, context) {
+    const { id, key } = this.loadMasterKey();
+    const nonce = crypto.randomBytes(NONCE_LENGTH);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+    cipher.setAAD(Buffer.from(`${id}.${context}`));
+    const data = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return [id, nonce.toString('base64url'), cipher.getAuthTag().toString('base64url'), data.toString('base64url')].join('.');
+  }
+
+  async unwrapKey(wrappedKey, context) {
+    const { id, key } = this.loadMasterKey();
+    const [masterKeyId, nonce, tag, data] = String(wrappedKey).split('.');
+    if (masterKeyId !== id) {
+      throw new Error('Data key was wrapped with a different master key');
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(nonce, 'base64url'), { authTagLength: TAG_LENGTH });
+      decipher.setAAD(Buffer.from(`${id}.${context}`));
+      decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+      return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]);
+    } catch (error) {
+      throw new Error('Data key could not be unwrapped');
+    }
+  }
+}
+
+module.exports = LocalKeyProvider;
@@ -0,0 +1,99 @@
+const OutboxTransport = require('./transports/outbox.transport');
+
+// Transports implement `async send({ to, subject, text })`
+const transports = {
+  outbox: () => new OutboxTransport()
+};
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  // Outside production the outbox is the default, so development works out of the box
+  getTransport() {
+    if (!this.transport) {
+      if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT must be set in production');
+      }
+      const name = process.env.MAIL_TRANSPORT || 'outbox';
+      if (!transports[name]) {
+        throw new Error(`Unknown mail transport: ${name}`);
+      }
+      this.transport = transports[name]();
+    }
+    return this.transport;
+  }
+
+  // Replace the transport, e.g. with an SMTP or API-based implementation
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  buildLink(pathname, token) {
+    const appUrl = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+    return `${appUrl.replace(/\/$/, '')}${pathname}?token=${encodeURIComponent(token)}`;
+  }
+
+  async send({ to, subject, text }) {
+    return this.getTransport().send({
+      from: process.env.MAIL_FROM || 'no-reply@mystory.local',
+      to,
+      subject,
+      text
+    });
+  }
+
+  // Sent to the pending address when the user is changing their email
+  async sendEmailVerification(user, token) {
+    const link = this.buildLink('/verify-email', token);
+
+    return this.send({
+      to: user.pendingEmail || user.email,
+      subject: 'Verify your email address',
+      text: `Please confirm your email address by opening the link below:\n${link}\n\n` +
+        `Your verification token: ${token}\n\n` +
+        `If you did not create an account, you can ignore this email.`
+    });
+  }
+
+  async sendAccountUnlock(user, token) {
+    const link = this.buildLink('/unlock-account', token);
+
+    return this.send({
+      to: user.email,
+      subject: 'Your account has been locked',
+      text: `Your account was temporarily locked after too many failed login attempts.\n\n` +
+        `If this was you, unlock it now with the link below:\n${link}\n\n` +
+        `Your unlock token: ${token}\n\n` +
+        `If this was not you, consider changing your password.`
+    });
+  }
+
+  async sendPasswordReset(user, token) {
+    const link = this.buildLink('/reset-password', token);
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `We received a request to reset your password.\n\n` +
+        `Use the link below to choose a new one:\n${link}\n\n` +
+        `Your reset token: ${token}\n\n` +
+        `If you did not request this, you can ignore this email.`
+    });
+  }
+
+  async sendMagicLink(user, token) {
+    const link = this.buildLink('/magic-link', token);
+
+    return this.send({
+      to: user.email,
+      subject: 'Your sign-in link',
+      text: `Use the link below to sign in. It can only be used once and expires soon:\n${link}\n\n` +
+        `Your sign-in token: ${token}\n\n` +
+        `If you did not request this, you can ignore this email.`
+    });
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OidcAuthorization = require('../models/oidcAuthorization.model');
+const { hashToken } = require('../utils/tokens');
+
+// Pending authorizations expire if the user does not come back from the provider
+const AUTHORIZATION_TTL_MS = 10 * 60 * 1000;
+
+// Algorithms accepted for ID token signatures
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256', 'PS256'];
+
+const oidcError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const fetchJson = async (url, options) => {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw oidcError('Identity provider is unreachable', 502);
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw oidcError(body.error_description || body.error || `Identity provider request failed (${response.status})`);
+  }
+  return body;
+};
+
+// Providers are configured per name, e.g. OIDC_PROVIDERS=google with
+// OIDC_GOOGLE_ISSUER, OIDC_GOOGLE_CLIENT_ID and OIDC_GOOGLE_CLIENT_SECRET.
+class OidcService {
+  constructor() {
+    this.discoveryCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  listProviders() {
+    return (process.env.OIDC_PROVIDERS || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  getProvider(name) {
+    if (!this.listProviders().includes(name)) {
+      return null;
+    }
+
+    const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const issuer = process.env[`${prefix}ISSUER`];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+    if (!issuer || !clientId) {
+      return null;
+    }
+
+    const appUrl = (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173').replace(/\/$/, '');
+
+    return {
+      name,
+      issuer: issuer.replace(/\/$/, ''),
+      clientId,
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+      scopes: process.env[`${prefix}SCOPES`] || 'openid email profile',
+      redirectUri: process.env[`${prefix}REDIRECT_URI`] || `${appUrl}/oidc/callback/${name}`
+    };
+  }
+
+  // Provider metadata from its discovery document
+  async discover(provider) {
+    if (!this.discoveryCache.has(provider.issuer)) {
+      const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+      if (String(metadata.issuer || '').replace(/\/$/, '') !== provider.issuer) {
+        throw oidcError('Identity provider issuer mismatch', 502);
+      }
+      this.discoveryCache.set(provider.issuer, metadata);
+    }
+    return this.discoveryCache.get(provider.issuer);
+  }
+
+  // Start an authorization-code + PKCE flow. Pass a user id to link the provider to that account.
+  async createAuthorization(provider, { userId = null } = {}) {
+    const metadata = await this.discover(provider);
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(16));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await OidcAuthorization.create({
+      stateHash: hashToken(state),
+      provider: provider.name,
+      codeVerifier,
+      nonce,
+      redirectUri: provider.redirectUri,
+      user: userId,
+      expiresAt: new Date(Date.now() + AUTHORIZATION_TTL_MS)
+    });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return { authorizationUrl: url.toString(), state };
+  }
+
+  // Exchange the code from the provider's redirect and return the verified ID token claims.
+  // A linking flow can only be completed by the user who started it.
+  async completeAuthorization(provider, { code, state, userId = null }) {
+    // Claim the authorization atomically so a state can only be used once
+    const authorization = await OidcAuthorization.findOneAndDelete({
+      stateHash: hashToken(state),
+      provider: provider.name,
+      user: userId,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!authorization) {
+      throw oidcError('Invalid or expired authorization state');
+    }
+
+    const metadata = await this.discover(provider);
+    const tokens = await this.exchangeCode(provider, metadata, {
+      code,
+      codeVerifier: authorization.codeVerifier,
+      redirectUri: authorization.redirectUri
+    });
+    if (!tokens.id_token) {
+      throw oidcError('Identity provider did not return an ID token', 502);
+    }
+
+    const claims = await this.verifyIdToken(provider, metadata, tokens.id_token);
+    if (claims.nonce !== authorization.nonce) {
+      throw oidcError('Invalid ID token nonce');
+    }
+
+    return claims;
+  }
+
+  async exchangeCode(provider, metadata, { code, codeVerifier, redirectUri }) {
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    // Confidential clients authenticate with HTTP Basic, public clients send their id
+    if (provider.clientSecret) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      params.set('client_id', provider.clientId);
+    }
+
+    return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params.toString() });
+  }
+
+  async getSigningKey(metadata, kid) {
+    const cached = this.jwksCache.get(metadata.jwks_uri);
+    let keys = cached && cached.keys;
+
+    // Refetch once when the provider may have rotated its keys
+    if (!keys || (kid && !keys.some(key => key.kid === kid))) {
+      ({ keys } = await fetchJson(metadata.jwks_uri));
+      this.jwksCache.set(metadata.jwks_uri, { keys });
+    }
+
+    const signingKeys = keys.filter(key => !key.use || key.use === 'sig');
+    const jwk = kid
+      ? signingKeys.find(key => key.kid === kid)
+      : signingKeys.length === 1 && signingKeys[0];
+    if (!jwk) {
+      throw oidcError('Unknown ID token signing key');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  async verifyIdToken(provider, metadata, idToken) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw oidcError('Malformed ID token');
+    }
+
+    const key = await this.getSigningKey(metadata, decoded.header.kid);
+    try {
+      return jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: metadata.issuer,
+        audience: provider.clientId
+      });
+    } catch (error) {
+      throw oidcError(`Invalid ID token: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new OidcService();
@@ -0,0 +1,67 @@
+const PersonalAccessToken = require('../models/personalAccessToken.model');
+const { generateRandomToken, hashToken, TOUCH_INTERVAL_MS } = require('../utils/tokens');
+
+// Personal access tokens are recognisable by their prefix, JWTs never start with it
+const TOKEN_PREFIX = 'msp_';
+
+class PersonalAccessTokenService {
+  isPersonalAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  // Create a token; the plaintext value is only ever returned here
+  async create(userId, { name, scopes, expiresInDays }) {
+    const token = `${TOKEN_PREFIX}${generateRandomToken(24)}`;
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const record = await PersonalAccessToken.create({
+      user: userId,
+      name,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.substring(0, TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    return { token, record };
+  }
+
+  // Resolve an active token record, or null if it is unknown, revoked or expired
+  async authenticate(token) {
+    const record = await PersonalAccessToken.findOne({ tokenHash: hashToken(token) });
+    if (!record || !record.isActive()) {
+      return null;
+    }
+
+    const now = new Date();
+    if (!record.lastUsedAt || now - record.lastUsedAt >= TOUCH_INTERVAL_MS) {
+      record.lastUsedAt = now;
+      await record.save();
+    }
+
+    return record;
+  }
+
+  async list(userId) {
+    return PersonalAccessToken.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 });
+  }
+
+  async revoke(tokenId, userId) {
+    return PersonalAccessToken.findOneAndUpdate(
+      { _id: tokenId, user: userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  async revokeAllForUser(userId) {
+    await PersonalAccessToken.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+}
+
+module.exports = new PersonalAccessTokenService();
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/refreshToken.model');
+const encryptionService = require('./encryption.service');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const refreshTokenError = (message, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  Object.assign(error, details);
+  return error;
+};
+
+// A token presented again this soon after rotation is a concurrent refresh
+// (e.g. two tabs), not reuse
+const REUSE_GRACE_MS = 30 * 1000;
+
+class RefreshTokenService {
+  getExpiryDate() {
+    const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  // Issue a new refresh token, starting a new family unless one is given
+  async issue(userId, family = crypto.randomUUID(), token = generateRandomToken(48)) {
+    await RefreshToken.create({
+      user: userId,
+      tokenHash: hashToken(token),
+      family,
+      expiresAt: this.getExpiryDate()
+    });
+
+    return token;
+  }
+
+  // Exchange a refresh token for a new one in the same family.
+  // Presenting a token that was already used revokes the whole family, unless
+  // it was rotated within the grace period; then the same successor is returned.
+  async rotate(token) {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+    if (!stored) {
+      throw refreshTokenError('Invalid refresh token');
+    }
+
+    // Revoked by logout or a security change; nothing left to protect
+    if (stored.revokedAt) {
+      throw refreshTokenError('Refresh token has been revoked');
+    }
+
+    if (stored.usedAt) {
+      if (stored.successorToken && Date.now() - stored.usedAt < REUSE_GRACE_MS) {
+        return {
+          userId: stored.user,
+          family: stored.family,
+          refreshToken: encryptionService.decrypt(stored.successorToken)
+        };
+      }
+
+      await this.revokeFamily(stored.family);
+      throw refreshTokenError('Refresh token has already been used', {
+        code: 'REFRESH_TOKEN_REUSED',
+        userId: stored.user,
+        family: stored.family
+      });
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      throw refreshTokenError('Refresh token expired');
+    }
+
+    // Claim the token atomically so only one concurrent refresh issues a successor;
+    // the others see it as used and get the same successor
+    const refreshToken = generateRandomToken(48);
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, usedAt: null, revokedAt: null },
+      { usedAt: new Date(), successorToken: encryptionService.encrypt(refreshToken) }
+    );
+    if (!claimed) {
+      return this.rotate(token);
+    }
+
+    await this.issue(stored.user, stored.family, refreshToken);
+
+    return {
+      userId: stored.user,
+      family: stored.family,
+      refreshToken
+    };
+  }
+
+  // Accepts a single family or an array of families
+  async revokeFamily(family) {
+    await RefreshToken.updateMany(
+      { family: { $in: [].concat(family) }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+
+  async revokeAllForUser(userId) {
+    await RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+}
+
+module.exports = new RefreshTokenService();
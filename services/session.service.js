@@ -0,0 +1,131 @@
+const Session = require('../models/session.model');
+const jwtService = require('./jwt.service');
+const refreshTokenService = require('./refreshToken.service');
+const { TOUCH_INTERVAL_MS } = require('../utils/tokens');
+
+// How long after logging in a user without a password may confirm sensitive changes
+const REAUTHENTICATION_WINDOW_MS = 10 * 60 * 1000;
+
+class SessionService {
+  describeDevice(userAgent = '') {
+    const browsers = [
+      ['Edge', /Edg\//],
+      ['Opera', /OPR\//],
+      ['Chrome', /Chrome\//],
+      ['Firefox', /Firefox\//],
+      ['Safari', /Safari\//]
+    ];
+    const systems = [
+      ['Android', /Android/],
+      ['iOS', /iPhone|iPad|iPod/],
+      ['Windows', /Windows/],
+      ['macOS', /Mac OS X|Macintosh/],
+      ['Linux', /Linux/]
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) {
+      return 'Unknown device';
+    }
+
+    return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+  }
+
+  // Start a new session for a user from the incoming request
+  async create(userId, req) {
+    const userAgent = (req.get && req.get('User-Agent')) || '';
+
+    return Session.create({
+      user: userId,
+      userAgent: userAgent.substring(0, 500),
+      device: this.describeDevice(userAgent),
+      ip: req.ip || '',
+      expiresAt: refreshTokenService.getExpiryDate()
+    });
+  }
+
+  // Start a session and issue its access token and refresh token family
+  async issueTokens(user, req) {
+    const session = await this.create(user._id, req);
+    const token = jwtService.generateToken(user._id, session._id);
+    const refreshToken = await refreshTokenService.issue(user._id, session._id.toString());
+    return { token, refreshToken };
+  }
+
+  async findActive(sessionId, userId) {
+    const session = await Session.findOne({ _id: sessionId, user: userId });
+    return session && session.isActive() ? session : null;
+  }
+
+  // Users confirm sensitive changes with their password. Users without one (signed up
+  // through an identity provider) confirm them by logging in again: the request must come
+  // from a session started within the re-authentication window.
+  // Returns a message when the change is not confirmed, otherwise null.
+  async reauthenticationError(user, { password, sessionId }) {
+    if (user.hasPassword()) {
+      return password && await user.comparePassword(password) ? null : 'Invalid credentials';
+    }
+
+    const session = sessionId ? await this.findActive(sessionId, user._id) : null;
+    if (!session || Date.now() - session.createdAt.getTime() > REAUTHENTICATION_WINDOW_MS) {
+      return 'Log in again to confirm this change';
+    }
+    return null;
+  }
+
+  // Record activity and slide the expiry along with the refresh token
+  async touch(session, { extend = false } = {}) {
+    const now = new Date();
+    if (!extend && now - session.lastUsedAt < TOUCH_INTERVAL_MS) {
+      return;
+    }
+
+    session.lastUsedAt = now;
+    if (extend) {
+      session.expiresAt = refreshTokenService.getExpiryDate();
+    }
+    await session.save();
+  }
+
+  async listActive(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  // Revoke a session and every refresh token issued for it
+  async revoke(sessionId, userId) {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (session) {
+      await refreshTokenService.revokeFamily(session._id.toString());
+    }
+
+    return session;
+  }
+
+  // Revoke all of a user's sessions, optionally keeping one (e.g. the current one)
+  async revokeAll(userId, { except } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) {
+      filter._id = { $ne: except };
+    }
+
+    const sessions = await Session.find(filter).select('_id');
+    await Session.updateMany(filter, { revokedAt: new Date() });
+
+    await refreshTokenService.revokeFamily(sessions.map(session => session._id.toString()));
+
+    return sessions.length;
+  }
+}
+
+module.exports = new SessionService();
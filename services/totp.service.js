@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps)
+class TOTPService {
+  constructor() {
+    this.digits = 6;
+    this.period = 30;
+    this.window = 1; // accept one step of clock drift either way
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        output.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(output);
+  }
+
+  generateSecret(bytes = 20) {
+    return this.base32Encode(crypto.randomBytes(bytes));
+  }
+
+  getTimeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / this.period);
+  }
+
+  // RFC 4226 HOTP value for a counter
+  generateHOTP(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  generate(secret, time = Date.now()) {
+    return this.generateHOTP(secret, this.getTimeStep(time));
+  }
+
+  // Returns the matching time step, or null when the code is invalid
+  verify(secret, code, time = Date.now()) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== this.digits) {
+      return null;
+    }
+
+    const currentStep = this.getTimeStep(time);
+    for (let offset = -this.window; offset <= this.window; offset++) {
+      const step = currentStep + offset;
+      const expected = this.generateHOTP(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  buildOtpAuthUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = new TOTPService();
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+// Development/test transport: writes each message to MAIL_OUTBOX_DIR as JSON. Without a
+// directory only the recipient and subject are logged, as the body carries tokens.
+// Sent messages are kept in memory for tests only.
+class OutboxTransport {
+  constructor(outboxDir = process.env.MAIL_OUTBOX_DIR, { keepMessages = process.env.NODE_ENV === 'test' } = {}) {
+    this.outboxDir = outboxDir;
+    this.keepMessages = keepMessages;
+    this.messages = [];
+    this.sentCount = 0;
+  }
+
+  async send(message) {
+    const entry = {
+      ...message,
+      sentAt: new Date().toISOString()
+    };
+    this.sentCount += 1;
+    if (this.keepMessages) {
+      this.messages.push(entry);
+    }
+
+    if (this.outboxDir) {
+      await fs.promises.mkdir(this.outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${this.sentCount}.json`;
+      await fs.promises.writeFile(path.join(this.outboxDir, fileName), JSON.stringify(entry, null, 2));
+    } else {
+      console.log(`[mail] To: ${entry.to}\n[mail] Subject: ${entry.subject}`);
+    }
+
+    return entry;
+  }
+
+  lastMessageTo(address) {
+    return [...this.messages].reverse().find(message => message.to === address) || null;
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = OutboxTransport;
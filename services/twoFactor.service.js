@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const totpService = require('./totp.service');
+const encryptionService = require('./encryption.service');
+const { hashToken } = require('../utils/tokens');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared case-insensitively and without separators
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class TwoFactorService {
+  getIssuer() {
+    return process.env.TWO_FACTOR_ISSUER || 'MyStory';
+  }
+
+  // Generate a pending secret; 2FA is only enabled once a code is confirmed
+  beginEnrollment(user) {
+    const secret = totpService.generateSecret();
+    user.twoFactorPendingSecret = encryptionService.encrypt(secret);
+
+    return {
+      secret,
+      otpauthUri: totpService.buildOtpAuthUri({
+        secret,
+        accountName: user.email,
+        issuer: this.getIssuer()
+      })
+    };
+  }
+
+  // Enable 2FA if the code matches the pending secret; returns recovery codes
+  confirmEnrollment(user, code) {
+    if (!user.twoFactorPendingSecret) {
+      return null;
+    }
+
+    const secret = encryptionService.decrypt(user.twoFactorPendingSecret);
+    const step = totpService.verify(secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastUsedStep = step;
+
+    return this.generateRecoveryCodes(user);
+  }
+
+  generateRecoveryCodes(user) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    user.twoFactorRecoveryCodes = codes.map(code => hashToken(normalizeRecoveryCode(code)));
+    return codes;
+  }
+
+  // Check a TOTP code or consume a recovery code. Each TOTP step can be used only once.
+  verify(user, { code, recoveryCode } = {}) {
+    if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+      return false;
+    }
+
+    if (recoveryCode) {
+      const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+      const index = user.twoFactorRecoveryCodes.indexOf(hash);
+      if (index === -1) {
+        return false;
+      }
+      user.twoFactorRecoveryCodes.splice(index, 1);
+      return true;
+    }
+
+    const secret = encryptionService.decrypt(user.twoFactorSecret);
+    const step = totpService.verify(secret, code);
+    if (step === null || (user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep)) {
+      return false;
+    }
+
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  disable(user) {
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = null;
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost for new vaults; the parameters are stored with each vault so they can be raised
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_CHECK_BYTES = 16;
+
+// Vault sections are encrypted with a key derived from a passphrase of their own. The
+// stretched passphrase is combined with the owner's data key, so a vault cannot be opened
+// with the passphrase alone and shredding the data key destroys vaults too.
+class VaultService {
+  async deriveKey(passphrase, { salt, N, r, p }, dataKey) {
+    const stretched = await scrypt(String(passphrase).normalize('NFKC'), Buffer.from(salt, 'base64url'), 32, {
+      N,
+      r,
+      p,
+      maxmem: 256 * N * r
+    });
+    const key = Buffer.from(crypto.hkdfSync('sha256', stretched, dataKey.key, 'mystory vault section', 32));
+
+    // Stories are written in data key envelopes, which name the data key the vault is bound to
+    return { id: dataKey.id, key };
+  }
+
+  // Lets a wrong passphrase be told apart from a corrupt story
+  keyCheck(vaultKey) {
+    return crypto.createHmac('sha256', vaultKey.key)
+      .update('vault key check')
+      .digest()
+      .subarray(0, KEY_CHECK_BYTES)
+      .toString('base64url');
+  }
+
+  // New vault settings to store on the section, and the key to encrypt its story with
+  async createVault(passphrase, dataKey) {
+    const params = { salt: crypto.randomBytes(SALT_BYTES).toString('base64url'), ...KDF_PARAMS };
+    const key = await this.deriveKey(passphrase, params, dataKey);
+
+    return {
+      vault: { kdf: 'scrypt', ...params, keyCheck: this.keyCheck(key) },
+      key
+    };
+  }
+
+  // Key of the vault, or null when the passphrase is wrong
+  async unlock(vault, passphrase, dataKey) {
+    const key = await this.deriveKey(passphrase, vault, dataKey);
+    const expected = Buffer.from(vault.keyCheck, 'base64url');
+    const actual = Buffer.from(this.keyCheck(key), 'base64url');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? key : null;
+  }
+}
+
+module.exports = new VaultService();
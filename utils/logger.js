@@ -0,0 +1,25 @@
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// Minimal leveled logger writing to the console; messages above LOG_LEVEL are dropped
+const shouldLog = (level) => {
+  const configured = LEVELS.indexOf(process.env.LOG_LEVEL || 'info');
+  return LEVELS.indexOf(level) <= (configured === -1 ? LEVELS.indexOf('info') : configured);
+};
+
+const log = (level) => (message, meta = {}) => {
+  if (!shouldLog(level)) return;
+  const line = `[${new Date().toISOString()}] ${level.toUpperCase()} ${message}`;
+  const output = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  if (Object.keys(meta).length > 0) {
+    output(line, meta);
+  } else {
+    output(line);
+  }
+};
+
+module.exports = {
+  error: log('error'),
+  warn: log('warn'),
+  info: log('info'),
+  debug: log('debug')
+};
@@ -0,0 +1,44 @@
+// Parse page/limit query parameters with sane bounds
+const parsePagination = (query = {}, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+
+  return {
+    page,
+    limit,
+    skip: (page - 1) * limit
+  };
+};
+
+// Links to the first, previous, next and last pages of a paginated response, keeping the
+// request's other query parameters. Relative, so they do not depend on the Host header.
+const paginationLinks = (req, { page, limit, pages }) => {
+  const path = (req.originalUrl || req.url || '').split('?')[0];
+  const lastPage = Math.max(pages, 1);
+
+  const link = (target) => {
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(req.query || {})) {
+      if (name === 'page' || name === 'limit' || value === undefined) continue;
+      for (const item of [].concat(value)) {
+        params.append(name, String(item));
+      }
+    }
+    params.set('page', target);
+    params.set('limit', limit);
+    return `${path}?${params}`;
+  };
+
+  return {
+    self: link(page),
+    first: link(1),
+    prev: page > 1 ? link(Math.min(page - 1, lastPage)) : null,
+    next: page < pages ? link(page + 1) : null,
+    last: link(lastPage)
+  };
+};
+
+module.exports = {
+  parsePagination,
+  paginationLinks
+};
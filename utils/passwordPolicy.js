@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_BREACHED_PASSWORDS_FILE = path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+// Length of the hash prefix used to bucket the breached-password list
+const PREFIX_LENGTH = 5;
+
+// bcrypt ignores everything after 72 bytes, so longer passwords give a false sense of security
+const BCRYPT_MAX_BYTES = 72;
+
+const getPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: Math.min(parseInt(process.env.PASSWORD_MAX_LENGTH) || BCRYPT_MAX_BYTES, BCRYPT_MAX_BYTES),
+  requireCharacterClasses: process.env.PASSWORD_REQUIRE_CHARACTER_CLASSES !== 'false',
+  breachedPasswordsFile: process.env.BREACHED_PASSWORDS_FILE !== undefined
+    ? process.env.BREACHED_PASSWORDS_FILE
+    : DEFAULT_BREACHED_PASSWORDS_FILE
+});
+
+let breachedList = null;
+
+// Load the list of SHA-1 hashes (one `HASH[:COUNT]` per line, as in the Pwned Passwords
+// downloads) into buckets keyed by hash prefix. Reloaded when the file changes.
+const loadBreachedList = (file) => {
+  const { mtimeMs } = fs.statSync(file);
+  if (breachedList && breachedList.file === file && breachedList.mtimeMs === mtimeMs) {
+    return breachedList.buckets;
+  }
+
+  const buckets = new Map();
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    const hash = line.split(':')[0].trim().toUpperCase();
+    if (!/^[0-9A-F]{40}$/.test(hash)) continue;
+
+    const prefix = hash.substring(0, PREFIX_LENGTH);
+    if (!buckets.has(prefix)) buckets.set(prefix, new Set());
+    buckets.get(prefix).add(hash.substring(PREFIX_LENGTH));
+  }
+
+  breachedList = { file, mtimeMs, buckets };
+  return buckets;
+};
+
+// k-anonymity style lookup: only the bucket sharing the hash prefix is searched, so the
+// same check works against a remote range API without sending the full hash.
+const isBreached = (password) => {
+  const { breachedPasswordsFile } = getPolicy();
+  if (!breachedPasswordsFile || !fs.existsSync(breachedPasswordsFile)) {
+    return false;
+  }
+
+  const hash = crypto.createHash('sha1').update(String(password)).digest('hex').toUpperCase();
+  const bucket = loadBreachedList(breachedPasswordsFile).get(hash.substring(0, PREFIX_LENGTH));
+  return Boolean(bucket && bucket.has(hash.substring(PREFIX_LENGTH)));
+};
+
+// Check a candidate password and return the list of broken rules (empty when acceptable)
+const validatePassword = (password, { email } = {}) => {
+  const policy = getPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    return [`Password must be at least ${policy.minLength} characters long`];
+  }
+
+  if (Buffer.byteLength(password) > policy.maxLength) {
+    errors.push(`Password cannot exceed ${policy.maxLength} bytes`);
+  }
+
+  if (policy.requireCharacterClasses && !/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+  }
+
+  if (email) {
+    const lowered = password.toLowerCase();
+    const address = email.toLowerCase();
+    const localPart = address.split('@')[0];
+    if (lowered.includes(address) || (localPart.length >= 4 && lowered.includes(localPart))) {
+      errors.push('Password cannot contain your email address');
+    }
+  }
+
+  if (isBreached(password)) {
+    errors.push('This password has appeared in a data breach, please choose a different one');
+  }
+
+  return errors;
+};
+
+module.exports = {
+  getPolicy,
+  isBreached,
+  validatePassword
+};
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Generate an opaque random token suitable for sending to the client
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Only hashes of opaque tokens are ever stored in the database
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Only bump lastUsedAt of sessions and access tokens once per minute to avoid a
+// write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+module.exports = {
+  generateRandomToken,
+  hashToken,
+  TOUCH_INTERVAL_MS
+};
@@ -1,4 +1,8 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, oneOf, validationResult } = require('express-validator');
+const User = require('../models/user.model');
+const Book = require('../models/book.model');
+const PersonalAccessToken = require('../models/personalAccessToken.model');
+const { validatePassword } = require('./passwordPolicy');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -12,16 +16,30 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Password rules shared by every endpoint that sets a password
+const passwordRules = (field) => body(field)
+  .custom((value, { req }) => {
+    const email = req.body.email || (req.user && req.user.email);
+    const [error] = validatePassword(value, { email });
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  });
+
+// Current password confirming a sensitive change; accounts without a
+// password confirm by logging in again instead
+const confirmPasswordRules = body('password')
+  .optional()
+  .notEmpty()
+  .withMessage('Password is required');
+
 const registerValidation = [
   body('email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  passwordRules('password'),
   handleValidationErrors
 ];
 
@@ -36,30 +54,336 @@ const loginValidation = [
   handleValidationErrors
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  handleValidationErrors
+];
+
+const magicLinkValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  handleValidationErrors
+];
+
+const magicLinkConsumeValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Sign-in token is required'),
+  handleValidationErrors
+];
+
+const oidcCallbackValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+  handleValidationErrors
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  passwordRules('password'),
+  handleValidationErrors
+];
+
+// Either a TOTP code or a recovery code must be supplied
+const secondFactorRules = oneOf([
+  body('code').isString().notEmpty(),
+  body('recoveryCode').isString().notEmpty()
+], { message: 'A verification code or recovery code is required' });
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  secondFactorRules,
+  handleValidationErrors
+];
+
+const twoFactorSetupValidation = [
+  confirmPasswordRules,
+  handleValidationErrors
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification code is required'),
+  handleValidationErrors
+];
+
+const twoFactorRecoveryCodesValidation = [
+  confirmPasswordRules,
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification code is required'),
+  handleValidationErrors
+];
+
+const twoFactorDisableValidation = [
+  confirmPasswordRules,
+  secondFactorRules,
+  handleValidationErrors
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordRules('newPassword'),
+  handleValidationErrors
+];
+
+const changeEmailValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  confirmPasswordRules,
+  handleValidationErrors
+];
+
+const deleteAccountValidation = [
+  confirmPasswordRules,
+  handleValidationErrors
+];
+
+const personalAccessTokenValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(PersonalAccessToken.SCOPES)
+    .withMessage(`Scopes must be one of: ${PersonalAccessToken.SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt(),
+  handleValidationErrors
+];
+
+const profileValidation = [
+  body('displayName')
+    .optional()
+    .trim()
+    .isLength({ max: 80 })
+    .withMessage('Display name cannot exceed 80 characters'),
+  body('bio')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Bio cannot exceed 1000 characters'),
+  body('avatar')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Avatar reference cannot exceed 500 characters'),
+  body('website')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Website must be a valid http(s) URL'),
+  body('penNames')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Pen names must be a list of at most 10 entries'),
+  body('penNames.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Pen name must be between 1 and 100 characters'),
+  body('penNames.*._id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid pen name id'),
+  handleValidationErrors
+];
+
+const roleValidation = [
+  body('role')
+    .isIn(User.ROLES)
+    .withMessage(`Role must be one of: ${User.ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+const disableUserValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const userListValidation = [
+  query('role')
+    .optional()
+    .isString()
+    .bail()
+    .isIn(User.ROLES)
+    .withMessage(`Role must be one of: ${User.ROLES.join(', ')}`),
+  query('status')
+    .optional()
+    .isString()
+    .bail()
+    .isIn(['active', 'disabled'])
+    .withMessage('Status must be active or disabled'),
+  handleValidationErrors
+];
+
 const bookValidation = [
   body('title')
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Book title must be between 1 and 200 characters'),
+  body('penName')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid pen name id'),
+  body('encryptionMode')
+    .optional()
+    .isIn(Book.ENCRYPTION_MODES)
+    .withMessage(`Encryption mode must be one of: ${Book.ENCRYPTION_MODES.join(', ')}`),
+  handleValidationErrors
+];
+
+const bookListValidation = [
+  query('sort')
+    .optional()
+    .isIn(Book.SORT_FIELDS.flatMap(field => [field, `-${field}`]))
+    .withMessage(`Sort must be one of: ${Book.SORT_FIELDS.join(', ')}, optionally prefixed with "-" for descending order`),
+  query('isPublished')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('isPublished must be true or false'),
+  query(['createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date filters must be ISO 8601 dates'),
+  query('titlePrefix')
+    .optional()
+    .isString()
+    .withMessage('Title prefix must be a string of up to 200 characters')
+    .bail()
+    .isLength({ max: 200 })
+    .withMessage('Title prefix must be a string of up to 200 characters'),
   handleValidationErrors
 ];
 
+// Sections take either a plaintext story or, for client-encrypted books, an opaque payload
 const sectionValidation = [
   body('title')
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Section title must be between 1 and 200 characters'),
   body('story')
+    .if(body('clientEncrypted').not().exists())
     .trim()
     .isLength({ min: 1 })
     .withMessage('Story content cannot be empty'),
+  body('clientEncrypted')
+    .optional()
+    .isObject()
+    .withMessage('Encrypted story must be an object'),
+  body('clientEncrypted.payload')
+    .if(body('clientEncrypted').exists())
+    .isString()
+    .withMessage('Encrypted story payload is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Encrypted story payload is required'),
+  body('clientEncrypted.algorithm')
+    .if(body('clientEncrypted').exists())
+    .isString()
+    .withMessage('Encryption algorithm must be between 1 and 100 characters')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Encryption algorithm must be between 1 and 100 characters'),
+  body(['clientEncrypted.salt', 'clientEncrypted.keyCheck'])
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Salt and key check value must be strings')
+    .isLength({ max: 512 })
+    .withMessage('Salt and key check value cannot exceed 512 characters'),
+  body('force')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Force must be a boolean'),
+  body('vaultPassphrase')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Vault passphrase must be between 8 and 1024 characters')
+    .bail()
+    .isLength({ min: 8, max: 1024 })
+    .withMessage('Vault passphrase must be between 8 and 1024 characters'),
+  handleValidationErrors
+];
+
+const searchValidation = [
+  query('q')
+    .isString()
+    .withMessage('Search query is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
   handleValidationErrors
 ];
 
 module.exports = {
   registerValidation,
   loginValidation,
+  refreshTokenValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  magicLinkValidation,
+  magicLinkConsumeValidation,
+  oidcCallbackValidation,
+  twoFactorLoginValidation,
+  twoFactorSetupValidation,
+  twoFactorCodeValidation,
+  twoFactorRecoveryCodesValidation,
+  twoFactorDisableValidation,
+  changePasswordValidation,
+  changeEmailValidation,
+  deleteAccountValidation,
+  personalAccessTokenValidation,
+  profileValidation,
+  roleValidation,
+  disableUserValidation,
+  userListValidation,
   bookValidation,
+  bookListValidation,
   sectionValidation,
+  searchValidation,
   handleValidationErrors
 }; 
\ No newline at end of file